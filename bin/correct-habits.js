@@ -0,0 +1,1434 @@
+#!/usr/bin/env node
+/**
+ * Correct Habits - CLI
+ * Deterministic pattern store operations used by hooks, commands and skills.
+ * Ids, timestamps and validation are always handled here, never by hand-edited JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { formatAppliesTo } = require('../lib/applies-to');
+const { SELECTORS_UNAVAILABLE, validateSelector } = require('../lib/ast');
+const { explainDetection, logOutcome, readDetections } = require('../lib/audit');
+const { categoryNames, getConfigFiles, loadConfig } = require('../lib/config');
+const { confidenceLabel } = require('../lib/detector');
+const {
+  EXPORT_FORMATS,
+  groupByCategory,
+  toClaudeMd,
+  toEditorConfig,
+  toEslintConfig,
+  toJson,
+  toMarkdown,
+  toPrettierConfig,
+} = require('../lib/export');
+const { readJson } = require('../lib/files');
+const {
+  formatChangeDiff,
+  formatEntry,
+  latestUndoable,
+  readHistory,
+  revertChanges,
+  summarizeChanges,
+  undoneIds,
+} = require('../lib/history');
+const { importConventions } = require('../lib/import');
+const { LIFECYCLE_SCOPES, loadArchived, restorePattern } = require('../lib/lifecycle');
+const { mineTranscripts } = require('../lib/mine');
+const { SCOPES, getCandidatesFile, getProjectRoot, getScopeFile, getScopeStores, getTranscriptsDir } = require('../lib/paths');
+const { missingExamples, queuePending } = require('../lib/pending');
+const { approveProposal, loadProposals, proposePattern, proposePatterns, rejectProposal } = require('../lib/proposals');
+const { isCheckable, testRuleAgainstExamples } = require('../lib/rules');
+const { CONTEXT_AWARE_SIGNALS, CORRECTION_SIGNALS, SKIP_SIGNALS, buildDetector } = require('../lib/signals');
+const { replayTranscript } = require('../lib/replay');
+const { findContradictions, findConflicts, findDuplicates, findSimilar } = require('../lib/similarity');
+const {
+  PATTERN_CATEGORIES,
+  StoreError,
+  createPattern,
+  findPattern,
+  mergePatterns,
+  loadMergedPatterns,
+  loadPatterns,
+  readStore,
+  scopeLabel,
+  updateStore,
+} = require('../lib/store');
+const { readTranscript } = require('../lib/transcript');
+
+/**
+ * @typedef {import('../lib/store').Pattern} Pattern
+ * @typedef {import('../lib/store').ScopedPattern} ScopedPattern
+ * @typedef {import('../lib/paths').Scope} Scope
+ * @typedef {import('../lib/history').ChangeInfo} ChangeInfo
+ * @typedef {import('../lib/history').HistoryEntry} HistoryEntry
+ */
+
+/**
+ * @typedef {Object} CommandArgs
+ * @property {string[]} positionals - Positional arguments after the subcommand
+ * @property {Record<string, any>} values - Parsed option values
+ */
+
+const USAGE = `Usage: correct-habits <command> [options]
+
+Commands:
+  add      --name <kebab-case> --description <text> [--category <category>]
+           [--bad <code>] [--good <code>] [--confidence <0-1>] [--reasoning <text>]
+           [--forbid <regex>] [--require <regex>] [--selector <ast-selector>]
+           [--include <glob>]... [--exclude <glob>]... [--enforcement warn|block]
+           [--path <glob>]... [--language <name>]... [--package <name>]...
+             limit the pattern to matching files (appliesTo)
+           [--tag <name>]...  free-form labels to filter by
+           [--review]  queue the pattern for review instead of saving it
+           [--merge <id-or-name>]  fold it into a similar existing pattern
+           [--force]  save even if a similar pattern exists
+           [--detection <id>]  audit log detection the pattern came from
+  update   <id-or-name> [same options as add]
+  remove   <id-or-name>
+  clear    --yes
+  history  [<id-or-name>] [--limit <n>] [--json]  list recorded changes to the
+           stores, newest first, optionally only those touching one pattern
+  diff     <change-id | id-or-name>  show what a change did, field by field
+           (for a pattern, its latest change)
+  undo     [<change-id>]  revert a change (default: the latest not yet undone)
+  list     [--category <category>] [--tag <name>] [--json]
+  search   <query>
+  export   [--format ${EXPORT_FORMATS.join('|')}] [--out <file>]
+           claude-md updates a managed section of CLAUDE.md (or --out);
+           editorconfig and prettier merge into an existing --out file
+  review   [list | accept <id> | reject <id> | edit <id> [same options as add]]
+  conflicts  list contradicting and near-duplicate patterns
+  archived [--json]  list patterns archived after their confidence decayed
+  import   [--dry-run] [--review]  seed patterns from .eslintrc, .prettierrc,
+           .editorconfig, tsconfig.json, CONTRIBUTING.md and CLAUDE.md
+  restore  <id-or-name>  bring an archived pattern back
+  propose  <id-or-name>  copy a user or project pattern into the team file's
+           proposals; it isn't loaded for anyone until approved
+  proposals  [--all] [--json]  list team proposals waiting for approval
+           (--all includes rejected ones)
+  approve  <id-or-name> [--force]  accept a team proposal (--force to approve your own)
+  reject   <id-or-name>  decline a team proposal; pass --reason to tell the proposer why
+  test-rule  <id-or-name> | [--forbid/--require/--selector ... --bad <code> --good <code>]
+           check that a rule flags bad_example and passes good_example
+  why      [--limit <n>] [--json]  explain the most recent correction detections
+  config   [--json]  show the detector's signals and thresholds, and any config errors
+  replay   <transcript.jsonl> [--all] [--json]  report what the detector would flag
+           in a recorded conversation, without saving anything
+  mine     [<dir>] [--min-count <n>] [--dry-run]  queue corrections repeated across
+           past transcripts (default: this project's) as review candidates
+
+Commands that read or write patterns accept --scope ${SCOPES.join('|')} (all but
+history, diff, undo, proposals, approve, reject, why, config and replay). Writes
+default to project; reads default to all scopes merged. Team and project patterns
+are stored at the git root, or in the nearest package directory that has its
+own .claude/correct-habits; package stores inherit the root's patterns.
+
+Pass --stdin to add/update to read the fields as a JSON object from stdin
+(useful for multi-line examples).
+
+Every command that changes a store accepts --reason <text>, recorded with the
+change in the history.
+
+Categories: ${PATTERN_CATEGORIES.join(', ')}, plus any defined under
+"categories" in config.json (see the config command)`;
+
+/** Option accepted by every command */
+const SCOPE_OPTION = { scope: { type: 'string' } };
+
+/** Option accepted by every command that changes a store */
+const REASON_OPTION = { reason: { type: 'string' } };
+
+/**
+ * Who the history records as making a change: Claude Code sets CLAUDECODE in the
+ * shells it starts, so a command run there came from Claude, not the user's own terminal
+ * @type {import('../lib/history').Actor}
+ */
+const ACTOR = process.env.CLAUDECODE ? 'command' : 'user';
+
+/** Options shared by add and update */
+const PATTERN_OPTIONS = {
+  name: { type: 'string' },
+  description: { type: 'string' },
+  category: { type: 'string' },
+  bad: { type: 'string' },
+  good: { type: 'string' },
+  confidence: { type: 'string' },
+  reasoning: { type: 'string' },
+  forbid: { type: 'string' },
+  require: { type: 'string' },
+  selector: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  enforcement: { type: 'string' },
+  path: { type: 'string', multiple: true },
+  language: { type: 'string', multiple: true },
+  package: { type: 'string', multiple: true },
+  tag: { type: 'string', multiple: true },
+  stdin: { type: 'boolean' },
+  review: { type: 'boolean' },
+  merge: { type: 'string' },
+  force: { type: 'boolean' },
+  detection: { type: 'string' },
+  ...REASON_OPTION,
+  ...SCOPE_OPTION,
+};
+
+/**
+ * Validate the --scope option
+ * @param {Record<string, any>} values - Parsed options
+ * @returns {Scope | undefined}
+ */
+function getScope(values) {
+  if (values.scope === undefined) return undefined;
+  if (!SCOPES.includes(values.scope)) {
+    throw new StoreError(`Unknown scope "${values.scope}" (expected one of ${SCOPES.join(', ')})`);
+  }
+  return values.scope;
+}
+
+/**
+ * History details of a write command
+ * @param {string} operation - The command, e.g. "add" or "review accept"
+ * @param {Record<string, any>} values - Parsed options
+ * @param {string} [reason] - Used when --reason isn't given
+ * @returns {ChangeInfo}
+ */
+function changeInfo(operation, values, reason) {
+  /** @type {ChangeInfo} */
+  const change = { actor: ACTOR, operation };
+  if (values.reason || reason) {
+    change.reason = values.reason || reason;
+  }
+  return change;
+}
+
+/**
+ * Store file that a write command targets. Approved team patterns only change
+ * through review, so commands that rewrite or delete patterns refuse team scope.
+ * @param {Record<string, any>} values - Parsed options
+ * @param {string} command - For the error, e.g. "update"
+ * @returns {string}
+ */
+function getTargetFile(values, command) {
+  const scope = getScope(values) || 'project';
+  if (scope === 'team') {
+    const teamFile = path.relative(process.cwd(), getScopeFile('team'));
+    throw new StoreError(`${command} doesn't change approved team patterns; edit ${teamFile} in a commit your team reviews, or add new ones with propose`);
+  }
+  return getScopeFile(scope);
+}
+
+/**
+ * Patterns that a read command shows: one scope, or all scopes merged
+ * @param {Record<string, any>} values - Parsed options
+ * @returns {ScopedPattern[]}
+ */
+function getVisiblePatterns(values) {
+  const scope = getScope(values);
+  if (!scope) {
+    return loadMergedPatterns();
+  }
+  return loadPatterns(getScopeFile(scope)).map(p => ({ ...p, scope }));
+}
+
+/**
+ * Error for a pattern that isn't in the targeted scope, pointing at the scope that has it
+ * @param {string} target - Id or name that was looked up
+ * @param {Record<string, any>} values - Parsed options
+ * @returns {StoreError}
+ */
+function notFoundError(target, values) {
+  const elsewhere = findPattern(loadMergedPatterns(), target);
+  const scope = getScope(values) || 'project';
+  if (elsewhere && elsewhere.scope !== scope) {
+    return new StoreError(`No pattern matching "${target}" in ${scope} scope (found in ${elsewhere.scope}; pass --scope ${elsewhere.scope})`);
+  }
+  if (elsewhere && elsewhere.package !== getScopeStores(scope).pop().package) {
+    const dir = path.join(getProjectRoot(), elsewhere.package || '');
+    const store = elsewhere.package ? `the ${elsewhere.package} store` : 'the repository root store';
+    return new StoreError(`No pattern matching "${target}" in this directory's ${scope} store (found in ${store}; run the command from ${dir})`);
+  }
+  return new StoreError(`No pattern matching "${target}"`);
+}
+
+/**
+ * Collect pattern fields from CLI options and/or a JSON object on stdin
+ * @param {Record<string, any>} values - Parsed options
+ * @returns {Partial<Pattern>}
+ */
+function readPatternFields(values) {
+  /** @type {Record<string, any>} */
+  let fields = {};
+
+  if (values.stdin) {
+    const input = fs.readFileSync('/dev/stdin', 'utf8');
+    try {
+      fields = JSON.parse(input);
+    } catch {
+      throw new StoreError('stdin must contain a JSON object');
+    }
+  }
+
+  const flagMap = {
+    name: 'name',
+    description: 'description',
+    category: 'category',
+    bad: 'bad_example',
+    good: 'good_example',
+    reasoning: 'reasoning',
+    enforcement: 'enforcement',
+  };
+  for (const [flag, field] of Object.entries(flagMap)) {
+    if (values[flag] !== undefined) {
+      fields[field] = values[flag];
+    }
+  }
+
+  const ruleFlags = { forbid: 'forbidden', require: 'required', selector: 'selector', include: 'include', exclude: 'exclude' };
+  for (const [flag, field] of Object.entries(ruleFlags)) {
+    if (values[flag] !== undefined) {
+      fields.rule = { ...fields.rule, [field]: values[flag] };
+    }
+  }
+
+  const appliesToFlags = { path: 'paths', language: 'languages', package: 'packages' };
+  for (const [flag, field] of Object.entries(appliesToFlags)) {
+    if (values[flag] !== undefined) {
+      fields.appliesTo = { ...fields.appliesTo, [field]: values[flag] };
+    }
+  }
+
+  if (values.tag !== undefined) {
+    fields.tags = values.tag;
+  }
+
+  if (values.confidence !== undefined) {
+    fields.confidence = Number(values.confidence);
+  } else if (typeof fields.confidence === 'string') {
+    fields.confidence = Number(fields.confidence);
+  }
+
+  return fields;
+}
+
+/**
+ * Refuse a category that is neither built in nor defined in config. Stored
+ * patterns keep theirs if a definition is later removed; only new values are checked.
+ * @param {Partial<Pattern>} fields
+ */
+function checkCategory(fields) {
+  if (fields.category === undefined) return;
+  const categories = categoryNames(loadConfig());
+  if (!categories.includes(fields.category)) {
+    throw new StoreError(`Unknown category "${fields.category}" (expected one of ${categories.join(', ')}; define new ones under "categories" in config.json)`);
+  }
+}
+
+/**
+ * Refuse a selector that doesn't parse. Without a parser in the project it can't
+ * be checked either way: it's saved, with a warning that it won't be enforced yet.
+ * @param {Partial<Pattern>} fields
+ */
+function checkSelector(fields) {
+  const selector = fields.rule?.selector;
+  if (typeof selector !== 'string' || !selector) return;
+
+  const error = validateSelector(selector);
+  if (error === SELECTORS_UNAVAILABLE) {
+    console.error(`Warning: ${SELECTORS_UNAVAILABLE}, so "${selector}" is saved unchecked and won't be enforced until they are installed`);
+  } else if (error) {
+    throw new StoreError(`rule.selector is not a valid selector (${error})`);
+  }
+}
+
+/**
+ * Apply user-supplied changes to a stored pattern. Bookkeeping fields are owned by the store.
+ * @param {Pattern} pattern - Pattern to modify in place
+ * @param {Partial<Pattern>} fields - Changes
+ */
+function applyChanges(pattern, fields) {
+  const {
+    id, createdAt, hitCount, lastAppliedAt, violationCount, lastViolatedAt, lastInjectedAt, decayedAt,
+    status, proposedBy, proposedAt, approvedBy, rejectedBy, reviewedAt, reviewNote,
+    ...changes
+  } = fields;
+  if (changes.rule) {
+    // Rule fields are updated individually, e.g. --forbid alone keeps the rest of the rule
+    changes.rule = { ...pattern.rule, ...changes.rule };
+  }
+  if (changes.appliesTo) {
+    changes.appliesTo = { ...pattern.appliesTo, ...changes.appliesTo };
+  }
+  Object.assign(pattern, changes, { updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Refuse to save a near-duplicate, and warn about patterns the new one contradicts
+ * @param {Pattern} pattern - Pattern about to be saved
+ * @param {Record<string, any>} values - Parsed options
+ */
+function checkBeforeSave(pattern, values) {
+  const existing = [...loadMergedPatterns(), ...loadPatterns(getCandidatesFile())];
+
+  if (!values.force) {
+    const similar = findSimilar(pattern, existing);
+    if (similar.length > 0) {
+      const matches = similar
+        .slice(0, 3)
+        .map(m => `"${m.pattern.name}" (${Math.round(m.score * 100)}% similar)`)
+        .join(', ');
+      throw new StoreError(
+        `"${pattern.name}" looks like ${matches}. ` +
+        `Re-run with --merge ${similar[0].pattern.name} to fold it into the existing pattern, or --force to save it anyway`
+      );
+    }
+  }
+
+  for (const other of existing) {
+    for (const conflict of findContradictions(pattern, other)) {
+      console.error(`Warning: "${conflict.a.name}" asks for "${conflict.term}" but "${conflict.b.name}" forbids it`);
+    }
+  }
+}
+
+/**
+ * Format a single pattern for terminal output
+ * @param {ScopedPattern} p
+ * @returns {string}
+ */
+function formatPattern(p) {
+  let output = `${p.name} [${p.category}, ${scopeLabel(p)}] (${p.id})\n  ${p.description}\n`;
+  output += `  confidence ${p.confidence.toFixed(2)}, applied ${p.hitCount}x`;
+  if (p.lastAppliedAt) {
+    output += ` (last ${p.lastAppliedAt.slice(0, 10)})`;
+  }
+  if (p.violationCount) {
+    output += `, violated ${p.violationCount}x (last ${p.lastViolatedAt.slice(0, 10)})`;
+  }
+  output += `, learned ${p.createdAt.slice(0, 10)}\n`;
+  if (p.bad_example) {
+    output += `  Don't: ${p.bad_example.split('\n').join('\n         ')}\n`;
+  }
+  if (p.good_example) {
+    output += `  Do:    ${p.good_example.split('\n').join('\n         ')}\n`;
+  }
+  if (p.rule && isCheckable(p)) {
+    output += `  Rule:  ${formatRule(p.rule)} (${p.enforcement || 'warn'})\n`;
+  }
+  if (p.appliesTo) {
+    output += `  Only:  ${formatAppliesTo(p.appliesTo)}\n`;
+  }
+  if (p.tags && p.tags.length > 0) {
+    output += `  Tags:  ${p.tags.join(', ')}\n`;
+  }
+  if (p.proposedBy) {
+    output += `  Team:  ${formatReview(p)}\n`;
+  }
+  return output;
+}
+
+/**
+ * Where a team proposal, or a pattern approved from one, stands
+ * @param {Pattern} p
+ * @returns {string}
+ */
+function formatReview(p) {
+  let output = `proposed by ${p.proposedBy} on ${p.proposedAt.slice(0, 10)}`;
+  if (p.status === 'pending') {
+    return `${output}, waiting for approval`;
+  }
+  output += `, ${p.status} by ${p.approvedBy || p.rejectedBy} on ${p.reviewedAt.slice(0, 10)}`;
+  return p.reviewNote ? `${output}: "${p.reviewNote}"` : output;
+}
+
+/**
+ * One-line summary of a rule
+ * @param {import('../lib/rules').PatternRule} rule
+ * @returns {string}
+ */
+function formatRule(rule) {
+  const parts = [];
+  if (rule.forbidden) parts.push(`forbids /${rule.forbidden}/`);
+  if (rule.selector) parts.push(`forbids ${rule.selector}`);
+  if (rule.required) parts.push(`requires /${rule.required}/`);
+  if (rule.include) parts.push(`in ${rule.include.join(', ')}`);
+  if (rule.exclude) parts.push(`except ${rule.exclude.join(', ')}`);
+  return parts.join('; ');
+}
+
+/**
+ * Run a pattern's rule against its examples and print the outcome
+ * @param {Pattern} pattern
+ * @returns {boolean} Whether the rule behaved as expected on every example
+ */
+function reportRuleTest(pattern) {
+  const result = testRuleAgainstExamples(pattern);
+  const lines = [];
+
+  if (result.badCaught !== null) {
+    lines.push(result.badCaught ? '  bad_example:  flagged (ok)' : '  bad_example:  NOT flagged - the rule misses the case it should catch');
+  }
+  if (result.goodPasses !== null) {
+    lines.push(result.goodPasses ? '  good_example: passes (ok)' : '  good_example: flagged - the rule would reject the preferred code');
+  }
+  if (result.badCaught === null && result.goodPasses === null && result.selectorChecked) {
+    lines.push('  no examples to test against');
+  }
+  if (!result.selectorChecked) {
+    lines.push(validateSelector(pattern.rule.selector) === SELECTORS_UNAVAILABLE
+      ? `  selector: not checked (${SELECTORS_UNAVAILABLE})`
+      : '  selector: not checked (an example does not parse)');
+  }
+
+  console.log(`Rule test for ${pattern.name}:\n${lines.join('\n')}`);
+  return result.badCaught !== false && result.goodPasses !== false;
+}
+
+/**
+ * Queue a saved pattern that lacks examples, so the user is asked for them next session
+ * @param {Pattern} pattern
+ * @param {Scope} scope
+ */
+function reportMissingExamples(pattern, scope) {
+  if (queuePending(pattern, scope)) {
+    const missing = missingExamples(pattern).map(field => field.replace('_', ' ')).join(' and ');
+    console.log(`Missing ${missing}: the user will be asked at the start of the next session`);
+  }
+}
+
+/**
+ * Record in the audit log what became of the detection a pattern came from
+ * @param {string | undefined} detectionId
+ * @param {import('../lib/audit').DetectionOutcome} outcome
+ * @param {string} name - Pattern name
+ */
+function reportOutcome(detectionId, outcome, name) {
+  if (!detectionId) return;
+  try {
+    logOutcome(detectionId, outcome, name);
+  } catch {
+    // The pattern is saved either way; the log is diagnostic only
+  }
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdAdd({ values }) {
+  const fields = readPatternFields(values);
+  if (!fields.name || !fields.description) {
+    throw new StoreError('add requires --name and --description');
+  }
+  checkCategory(fields);
+  checkSelector(fields);
+
+  if (values.merge) {
+    const merged = updateStore(getTargetFile(values, 'add --merge'), data => {
+      const target = findPattern(data.patterns, values.merge);
+      if (!target) {
+        throw notFoundError(values.merge, values);
+      }
+      return mergePatterns(target, fields);
+    }, changeInfo('merge', values, fields.reasoning));
+    console.log(`Merged into: ${merged.name} (${merged.id}, confidence now ${merged.confidence.toFixed(2)})`);
+    reportOutcome(values.detection, 'merged', merged.name);
+    return;
+  }
+
+  const pattern = createPattern(fields);
+  checkBeforeSave(pattern, values);
+
+  if (values.review) {
+    pattern.targetScope = getScope(values) || 'project';
+    if (values.detection) {
+      pattern.detectionId = values.detection;
+    }
+    updateStore(getCandidatesFile(), data => {
+      if (findPattern(data.patterns, pattern.name)) {
+        throw new StoreError(`A candidate named "${pattern.name}" is already waiting for review`);
+      }
+      data.patterns.push(pattern);
+    }, changeInfo('add', values, fields.reasoning));
+    console.log(`Queued for review: ${pattern.name} (${pattern.id})`);
+    reportOutcome(values.detection, 'queued', pattern.name);
+    return;
+  }
+
+  // New team patterns wait for a teammate's approval like any other proposal
+  if (getScope(values) === 'team') {
+    reportProposed(proposePattern(pattern, changeInfo('add', values, fields.reasoning)));
+    reportOutcome(values.detection, 'queued', pattern.name);
+    return;
+  }
+
+  updateStore(getTargetFile(values, 'add'), data => {
+    if (findPattern(data.patterns, pattern.name)) {
+      throw new StoreError(`Pattern "${pattern.name}" already exists; use update instead`);
+    }
+    data.patterns.push(pattern);
+  }, changeInfo('add', values, fields.reasoning));
+
+  console.log(`Learned: ${pattern.name} (${pattern.id}, ${getScope(values) || 'project'} scope)`);
+  reportOutcome(values.detection, 'learned', pattern.name);
+  reportMissingExamples(pattern, getScope(values) || 'project');
+  if (isCheckable(pattern)) {
+    reportRuleTest(pattern);
+  }
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdUpdate({ positionals, values }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('update requires a pattern id or name');
+  }
+
+  const fields = readPatternFields(values);
+  checkCategory(fields);
+  checkSelector(fields);
+  const updated = updateStore(getTargetFile(values, 'update'), data => {
+    const pattern = findPattern(data.patterns, target);
+    if (!pattern) {
+      throw notFoundError(target, values);
+    }
+    applyChanges(pattern, fields);
+    return pattern;
+  }, changeInfo('update', values));
+
+  console.log(`Updated: ${updated.name} (${updated.id})`);
+  if (isCheckable(updated)) {
+    reportRuleTest(updated);
+  }
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdRemove({ positionals, values }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('remove requires a pattern id or name');
+  }
+
+  const removed = updateStore(getTargetFile(values, 'remove'), data => {
+    const pattern = findPattern(data.patterns, target);
+    if (!pattern) {
+      throw notFoundError(target, values);
+    }
+    data.patterns = data.patterns.filter(p => p !== pattern);
+    return pattern;
+  }, changeInfo('remove', values));
+
+  console.log(`Removed: ${removed.name} (${removed.id})`);
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdClear({ values }) {
+  if (!values.yes) {
+    throw new StoreError('clear removes every pattern; pass --yes to confirm');
+  }
+
+  const count = updateStore(getTargetFile(values, 'clear'), data => {
+    const removed = data.patterns.length;
+    data.patterns = [];
+    return removed;
+  }, changeInfo('clear', values));
+
+  console.log(`Cleared ${count} pattern${count === 1 ? '' : 's'} from ${getScope(values) || 'project'} scope`);
+}
+
+/**
+ * Changes touching a pattern, matched by id or name
+ * @param {HistoryEntry[]} entries
+ * @param {string} target
+ * @returns {HistoryEntry[]}
+ */
+function changesTo(entries, target) {
+  return entries.filter(e => e.changes.some(c => c.id === target || c.name === target));
+}
+
+/**
+ * List recorded changes, newest first
+ * @param {CommandArgs} args
+ */
+function cmdHistory({ positionals, values }) {
+  const [target] = positionals;
+  const limit = values.limit === undefined ? 20 : Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new StoreError(`--limit must be a positive whole number, got "${values.limit}"`);
+  }
+
+  const all = readHistory();
+  const undone = undoneIds(all);
+  const entries = (target ? changesTo(all, target) : all).reverse().slice(0, limit);
+  if (values.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log(target ? `No changes to "${target}" recorded.` : 'No changes recorded yet.');
+    return;
+  }
+
+  console.log(entries.map(e => formatEntry(e, undone.has(e.id))).join('\n'));
+}
+
+/**
+ * Show a change field by field: one history entry, or a pattern's latest change
+ * @param {CommandArgs} args
+ */
+function cmdDiff({ positionals }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('diff requires a change id, or a pattern id or name');
+  }
+
+  const entries = readHistory();
+  const entry = entries.find(e => e.id === target) || changesTo(entries, target).pop();
+  if (!entry) {
+    throw new StoreError(`No change matching "${target}" (see history)`);
+  }
+
+  const changes = entry.id === target ? entry.changes : entry.changes.filter(c => c.id === target || c.name === target);
+  console.log(`${formatEntry(entry, undoneIds(entries).has(entry.id))}\n\n${changes.map(formatChangeDiff).join('\n')}`);
+}
+
+/**
+ * Revert a recorded change. The undo is recorded too, so it shows in the history.
+ * @param {CommandArgs} args
+ */
+function cmdUndo({ positionals, values }) {
+  const [target] = positionals;
+  const entries = readHistory();
+  const undone = undoneIds(entries);
+
+  let entry;
+  if (target) {
+    entry = entries.find(e => e.id === target);
+    if (!entry) {
+      throw new StoreError(`No change matching "${target}" (see history)`);
+    }
+    if (entry.undoes) {
+      throw new StoreError(`${entry.id} is itself an undo; re-run the original command to redo it`);
+    }
+    if (undone.has(entry.id)) {
+      throw new StoreError(`${entry.id} has already been undone`);
+    }
+  } else {
+    entry = latestUndoable(entries);
+    if (!entry) {
+      throw new StoreError('Nothing to undo');
+    }
+  }
+
+  updateStore(entry.file, data => {
+    const problems = revertChanges(data, entry);
+    if (problems.length > 0) {
+      throw new StoreError(`Can't undo ${entry.id}: ${problems.join('; ')}. Undo the later changes first`);
+    }
+  }, { ...changeInfo('undo', values), undoes: entry.id });
+
+  console.log(`Undid ${entry.operation} (${entry.id}): ${summarizeChanges(entry.changes)}`);
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdList({ values }) {
+  let patterns = getVisiblePatterns(values);
+  if (values.category) {
+    patterns = patterns.filter(p => p.category === values.category);
+  }
+  if (values.tag) {
+    patterns = patterns.filter(p => (p.tags || []).includes(values.tag));
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(patterns, null, 2));
+    return;
+  }
+
+  if (patterns.length === 0) {
+    console.log(values.category || values.tag ? 'No patterns match those filters.' : 'No patterns learned yet.');
+    return;
+  }
+
+  const groups = Object.entries(groupByCategory(patterns));
+  console.log(groups
+    .map(([category, group]) => `# ${category} (${group.length})\n\n${group.map(formatPattern).join('\n')}`)
+    .join('\n'));
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdSearch({ positionals, values }) {
+  const query = positionals.join(' ').toLowerCase();
+  if (!query) {
+    throw new StoreError('search requires a query');
+  }
+
+  const matches = getVisiblePatterns(values).filter(p =>
+    [p.name, p.description, p.category, ...(p.tags || [])].some(text => text.toLowerCase().includes(query))
+  );
+
+  if (matches.length === 0) {
+    console.log(`No patterns matching "${query}".`);
+    return;
+  }
+
+  console.log(matches.map(formatPattern).join('\n'));
+}
+
+/**
+ * @param {CommandArgs} args
+ */
+function cmdExport({ values }) {
+  const patterns = getVisiblePatterns(values);
+  const format = values.format || 'markdown';
+  // CLAUDE.md belongs at the repository root, wherever the command is run from
+  const out = values.out || (format === 'claude-md' ? path.join(getProjectRoot(), 'CLAUDE.md') : undefined);
+  const existing = out && fs.existsSync(out) ? fs.readFileSync(out, 'utf8') : '';
+
+  let output;
+  switch (format) {
+    case 'markdown':
+      output = toMarkdown(patterns);
+      break;
+    case 'json':
+      output = toJson(patterns);
+      break;
+    case 'claude-md':
+      output = toClaudeMd(patterns, existing);
+      break;
+    case 'eslint':
+      output = toEslintConfig(patterns);
+      break;
+    case 'editorconfig':
+      output = toEditorConfig(patterns, existing);
+      break;
+    case 'prettier': {
+      const current = existing ? readJson(out, null) : {};
+      if (!current || typeof current !== 'object' || Array.isArray(current)) {
+        throw new StoreError(`${out} isn't a JSON object; export to a new file instead`);
+      }
+      output = toPrettierConfig(patterns, current);
+      break;
+    }
+    default:
+      throw new StoreError(`Unknown export format "${format}" (expected one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  if (!output) {
+    console.log(`No pattern maps to ${format} settings; nothing exported`);
+    return;
+  }
+
+  if (!out) {
+    process.stdout.write(output);
+    return;
+  }
+
+  if (output === existing) {
+    console.log(`${out} is already up to date`);
+    return;
+  }
+  fs.writeFileSync(out, output);
+  console.log(`Exported ${patterns.length} patterns to ${out}`);
+}
+
+/**
+ * Where a mined candidate was seen
+ * @param {Pattern} candidate
+ * @returns {string}
+ */
+function formatMined(candidate) {
+  if (!candidate.mined) return '';
+  const { occurrences, sessions, quotes } = candidate.mined;
+  return `  Seen ${occurrences}x in ${sessions} session${sessions === 1 ? '' : 's'}:\n${quotes.map(q => `    "${q}"`).join('\n')}\n`;
+}
+
+/**
+ * Review queue: list candidates, or accept, edit or reject one
+ * @param {CommandArgs} args
+ */
+function cmdReview({ positionals, values }) {
+  const [action = 'list', target] = positionals;
+  const candidatesFile = getCandidatesFile();
+
+  if (action === 'list') {
+    const candidates = loadPatterns(candidatesFile);
+    if (candidates.length === 0) {
+      console.log('No patterns waiting for review.');
+      return;
+    }
+    console.log(candidates.map(c => formatPattern({ ...c, scope: c.targetScope || 'project' }) + formatMined(c)).join('\n'));
+    return;
+  }
+
+  if (!target) {
+    throw new StoreError(`review ${action} requires a candidate id or name`);
+  }
+
+  const candidate = findPattern(loadPatterns(candidatesFile), target);
+  if (!candidate) {
+    throw new StoreError(`No candidate matching "${target}"`);
+  }
+
+  switch (action) {
+    case 'accept': {
+      const scope = getScope(values) || candidate.targetScope || 'project';
+      const { targetScope, detectionId, mined, ...pattern } = candidate;
+      pattern.updatedAt = new Date().toISOString();
+
+      if (scope === 'team') {
+        // Proposed first so a failed proposal never loses the candidate
+        reportProposed(proposePattern(pattern, changeInfo('review accept', values)));
+        updateStore(candidatesFile, data => {
+          data.patterns = data.patterns.filter(p => p.id !== candidate.id);
+        }, changeInfo('review accept', values));
+        reportOutcome(detectionId, 'queued', pattern.name);
+        return;
+      }
+
+      // Save first so a failed accept never loses the candidate
+      updateStore(getScopeFile(scope), data => {
+        if (findPattern(data.patterns, pattern.name)) {
+          throw new StoreError(`Pattern "${pattern.name}" already exists in ${scope} scope; edit the candidate's name or reject it`);
+        }
+        data.patterns.push(pattern);
+      }, changeInfo('review accept', values));
+      updateStore(candidatesFile, data => {
+        data.patterns = data.patterns.filter(p => p.id !== candidate.id);
+      }, changeInfo('review accept', values));
+      console.log(`Accepted: ${pattern.name} (${pattern.id}, ${scope} scope)`);
+      reportOutcome(detectionId, 'learned', pattern.name);
+      reportMissingExamples(pattern, scope);
+      return;
+    }
+
+    case 'reject':
+      updateStore(candidatesFile, data => {
+        data.patterns = data.patterns.filter(p => p.id !== candidate.id);
+        // Mined candidates are kept, so mining the same transcripts again doesn't re-queue them
+        if (candidate.mined) {
+          const now = new Date().toISOString();
+          /** @type {import('../lib/store').ArchivedPattern} */
+          const rejected = { ...candidate, status: 'rejected', reviewedAt: now, archivedAt: now };
+          if (values.reason) {
+            rejected.reviewNote = values.reason;
+          }
+          data.archived = [...(data.archived || []), rejected];
+        }
+      }, changeInfo('review reject', values));
+      console.log(`Rejected: ${candidate.name} (${candidate.id})`);
+      reportOutcome(candidate.detectionId, 'rejected', candidate.name);
+      return;
+
+    case 'edit': {
+      const fields = readPatternFields(values);
+      checkCategory(fields);
+      checkSelector(fields);
+      const edited = updateStore(candidatesFile, data => {
+        const pattern = findPattern(data.patterns, candidate.id);
+        applyChanges(pattern, fields);
+        if (values.scope) {
+          pattern.targetScope = getScope(values);
+        }
+        return pattern;
+      }, changeInfo('review edit', values));
+      console.log(`Edited candidate: ${edited.name} (${edited.id})`);
+      return;
+    }
+
+    default:
+      throw new StoreError(`Unknown review action "${action}" (expected list, accept, reject or edit)`);
+  }
+}
+
+/**
+ * List contradictions and near-duplicates across all scopes
+ * @param {CommandArgs} args
+ */
+function cmdConflicts({ values }) {
+  const patterns = getVisiblePatterns(values);
+  const conflicts = findConflicts(patterns);
+  const duplicates = findDuplicates(patterns);
+
+  if (conflicts.length === 0 && duplicates.length === 0) {
+    console.log('No conflicts or near-duplicates found.');
+    return;
+  }
+
+  if (conflicts.length > 0) {
+    console.log('Contradictions:');
+    for (const { a, b, term } of conflicts) {
+      console.log(`  ${a.name} (${scopeLabel(a)}) asks for "${term}", ${b.name} (${scopeLabel(b)}) forbids it`);
+    }
+  }
+
+  if (duplicates.length > 0) {
+    console.log(`${conflicts.length > 0 ? '\n' : ''}Near-duplicates:`);
+    for (const { a, b, score } of duplicates) {
+      console.log(`  ${a.name} (${scopeLabel(a)}) ~ ${b.name} (${scopeLabel(b)}): ${Math.round(score * 100)}% similar`);
+    }
+  }
+}
+
+/**
+ * List archived patterns
+ * @param {CommandArgs} args
+ */
+function cmdArchived({ values }) {
+  const scope = getScope(values);
+  const scopes = scope ? [scope] : LIFECYCLE_SCOPES;
+  const archived = scopes.flatMap(s => loadArchived(s).map(p => ({ ...p, scope: s })));
+
+  if (values.json) {
+    console.log(JSON.stringify(archived, null, 2));
+    return;
+  }
+
+  if (archived.length === 0) {
+    console.log('No archived patterns.');
+    return;
+  }
+
+  console.log(archived.map(p => `${formatPattern(p)}  archived ${p.archivedAt.slice(0, 10)}\n`).join('\n'));
+}
+
+/**
+ * Move an archived pattern back into its scope's active patterns
+ * @param {CommandArgs} args
+ */
+function cmdRestore({ positionals, values }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('restore requires a pattern id or name');
+  }
+
+  // Without --scope, restore from whichever scope archived it (project first)
+  const scopes = getScope(values) ? [getScope(values)] : [...LIFECYCLE_SCOPES].reverse();
+  const scope = scopes.find(s => findPattern(loadArchived(s), target));
+  if (!scope) {
+    throw new StoreError(`No archived pattern matching "${target}"`);
+  }
+
+  const restored = restorePattern(scope, target, loadConfig().lifecycle, changeInfo('restore', values));
+  console.log(`Restored: ${restored.name} (${restored.id}, ${scope} scope, confidence ${restored.confidence.toFixed(2)})`);
+}
+
+/**
+ * Tell the user what happens to patterns proposed to the team
+ * @param {...Pattern} proposals
+ */
+function reportProposed(...proposals) {
+  for (const proposal of proposals) {
+    console.log(`Proposed: ${proposal.name} (${proposal.id}, by ${proposal.proposedBy})`);
+  }
+  const teamFile = path.relative(process.cwd(), getScopeFile('team'));
+  console.log(`Commit ${teamFile} so a teammate can review ${proposals.length === 1 ? 'it' : 'them'} with /patterns proposals, then approve or reject ${proposals.length === 1 ? 'it' : 'them'}.`);
+}
+
+/**
+ * Propose a user or project pattern to the team
+ * @param {CommandArgs} args
+ */
+function cmdPropose({ positionals, values }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('propose requires a pattern id or name');
+  }
+  if (getScope(values) === 'team') {
+    throw new StoreError('propose copies a user or project pattern into the team file; pass --scope user or --scope project');
+  }
+
+  const pattern = findPattern(getVisiblePatterns(values).filter(p => p.scope !== 'team'), target);
+  if (!pattern) {
+    throw new StoreError(`No user or project pattern matching "${target}"`);
+  }
+
+  reportProposed(proposePattern(pattern, changeInfo('propose', values)));
+}
+
+/**
+ * List team proposals
+ * @param {CommandArgs} args
+ */
+function cmdProposals({ values }) {
+  const proposals = loadProposals().filter(p => values.all || p.status === 'pending');
+  if (values.json) {
+    console.log(JSON.stringify(proposals, null, 2));
+    return;
+  }
+
+  if (proposals.length === 0) {
+    console.log(values.all ? 'No team proposals.' : 'No team proposals waiting for approval.');
+    return;
+  }
+
+  console.log(proposals.map(p => formatPattern({ ...p, scope: 'team' })).join('\n'));
+}
+
+/**
+ * Approve a team proposal
+ * @param {CommandArgs} args
+ */
+function cmdApprove({ positionals, values }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('approve requires a proposal id or name');
+  }
+
+  const approved = approveProposal(target, changeInfo('approve', values), values.force);
+  console.log(`Approved: ${approved.name} (${approved.id}, proposed by ${approved.proposedBy})`);
+  console.log(`Commit ${path.relative(process.cwd(), getScopeFile('team'))} to share it with the team.`);
+}
+
+/**
+ * Reject a team proposal
+ * @param {CommandArgs} args
+ */
+function cmdReject({ positionals, values }) {
+  const [target] = positionals;
+  if (!target) {
+    throw new StoreError('reject requires a proposal id or name');
+  }
+
+  const rejected = rejectProposal(target, changeInfo('reject', values));
+  console.log(`Rejected: ${rejected.name} (${rejected.id}, proposed by ${rejected.proposedBy})`);
+  console.log(`Commit ${path.relative(process.cwd(), getScopeFile('team'))} so the proposer sees the outcome.`);
+}
+
+/**
+ * Seed patterns from the project's existing convention files
+ * @param {CommandArgs} args
+ */
+function cmdImport({ values }) {
+  const scope = getScope(values) || 'project';
+  const existing = [...loadMergedPatterns(), ...loadPatterns(getCandidatesFile())];
+  const results = importConventions(existing);
+
+  if (results.length === 0) {
+    console.log('No conventions found to import.');
+    return;
+  }
+
+  const patterns = [];
+  for (const { fields, coveredBy } of results) {
+    if (coveredBy) {
+      console.log(`Skipped: ${fields.name} from ${fields.source} (covered by ${coveredBy.name})`);
+      continue;
+    }
+    const pattern = createPattern(fields);
+    if (values.review) {
+      pattern.targetScope = scope;
+    }
+    patterns.push(pattern);
+  }
+
+  // Imported team patterns are proposed, like any new team pattern
+  const proposing = scope === 'team' && !values.review;
+  const verb = values['dry-run'] ? `Would ${proposing ? 'propose' : 'import'}` : values.review ? 'Queued for review' : 'Imported';
+  for (const pattern of values['dry-run'] || !proposing ? patterns : []) {
+    console.log(`${verb}: ${pattern.name} [${pattern.category}] from ${pattern.source}`);
+  }
+  if (values['dry-run'] || patterns.length === 0) return;
+
+  if (proposing) {
+    reportProposed(...proposePatterns(patterns, changeInfo('import', values, "seeded from the project's convention files")));
+    return;
+  }
+
+  updateStore(values.review ? getCandidatesFile() : getScopeFile(scope), data => {
+    data.patterns.push(...patterns);
+  }, changeInfo('import', values, "seeded from the project's convention files"));
+  console.log(`${patterns.length} pattern${patterns.length === 1 ? '' : 's'} ${values.review ? 'queued' : `saved to ${scope} scope`}`);
+}
+
+/**
+ * Test a stored pattern's rule, or an ad-hoc rule, against examples
+ * @param {CommandArgs} args
+ */
+function cmdTestRule({ positionals, values }) {
+  const [target] = positionals;
+  const fields = readPatternFields(values);
+
+  let pattern;
+  if (target) {
+    const stored = findPattern([...getVisiblePatterns(values), ...loadPatterns(getCandidatesFile())], target);
+    if (!stored) {
+      throw new StoreError(`No pattern matching "${target}"`);
+    }
+    // Flags override the stored rule and examples, so a rule can be tried before saving it
+    pattern = { ...stored, ...fields, rule: { ...stored.rule, ...fields.rule } };
+  } else {
+    pattern = createPattern({ name: 'ad-hoc-rule', description: 'ad-hoc rule', ...fields });
+  }
+
+  if (!isCheckable(pattern)) {
+    throw new StoreError('Nothing to test: the pattern has no forbidden, required or selector rule');
+  }
+
+  if (!reportRuleTest(pattern)) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Explain recent correction detections from the audit log
+ * @param {CommandArgs} args
+ */
+function cmdWhy({ values }) {
+  const limit = values.limit === undefined ? 1 : Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new StoreError(`--limit must be a positive whole number, got "${values.limit}"`);
+  }
+
+  const detections = readDetections(limit);
+  if (values.json) {
+    console.log(JSON.stringify(detections, null, 2));
+    return;
+  }
+
+  if (detections.length === 0) {
+    console.log('No detections logged yet.');
+    return;
+  }
+
+  console.log(detections.map(explainDetection).join('\n'));
+}
+
+/**
+ * Show the effective detector settings and report invalid config
+ * @param {CommandArgs} args
+ */
+function cmdConfig({ values }) {
+  const config = loadConfig();
+  const detector = buildDetector(config.detector);
+
+  if (values.json) {
+    console.log(JSON.stringify({ ...config, files: getConfigFiles() }, null, 2));
+  } else {
+    const builtinIds = new Set([...CORRECTION_SIGNALS, ...CONTEXT_AWARE_SIGNALS, ...SKIP_SIGNALS].map(s => s.id));
+    const overridden = new Set(config.detector.signals.map(s => s.id));
+    /**
+     * @param {string} id
+     * @param {string} [categoryHint]
+     */
+    const notes = (id, categoryHint) => {
+      const parts = [categoryHint, !builtinIds.has(id) ? 'custom' : overridden.has(id) ? 'overridden' : ''].filter(Boolean);
+      return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+    };
+
+    console.log(`Config files (later wins):\n${getConfigFiles().map(f => `  ${f}`).join('\n')}\n`);
+    console.log(`Correction threshold: ${detector.minConfidence.toFixed(2)}`);
+    console.log(`Minimum message length: ${detector.minMessageLength}`);
+    console.log(`Context expires after: ${detector.contextStalenessMs / 60000} minutes`);
+    console.log(`Context kept: last ${detector.contextTurns} responses`);
+    console.log(`Session start budget: ~${config.injection.maxTokens} tokens, ${config.injection.compact ? 'one line per pattern' : `examples cut at ${config.injection.maxExampleLines} lines`}\n`);
+
+    const defined = new Map(config.categories.map(c => [c.name, c]));
+    console.log('Categories:');
+    for (const name of categoryNames(config)) {
+      const definition = defined.get(name);
+      const custom = PATTERN_CATEGORIES.includes(name) ? '' : ' (custom)';
+      console.log(`  ${name}${custom}${definition?.description ? `  ${definition.description}` : ''}`);
+    }
+    if (config.tags.length > 0) {
+      console.log('Tags:');
+      for (const tag of config.tags) {
+        console.log(`  ${tag.name}${tag.description ? `  ${tag.description}` : ''}${tag.hint ? `  /${tag.hint}/` : ''}`);
+      }
+    }
+    console.log('');
+
+    console.log('Correction signals:');
+    for (const s of detector.correctionSignals) {
+      console.log(`  ${s.weight.toFixed(2)}  ${s.id}  /${s.pattern.source}/${notes(s.id, s.categoryHint)}`);
+    }
+    console.log('Context-aware signals (base / with context):');
+    for (const s of detector.contextAwareSignals) {
+      console.log(`  ${s.weight.toFixed(2)} / ${s.contextWeight.toFixed(2)}  ${s.id}  /${s.userPattern.source}/${notes(s.id)}`);
+    }
+    console.log('Skip signals:');
+    for (const s of detector.skipSignals) {
+      console.log(`  ${s.id}  /${s.pattern.source}/`);
+    }
+    if (config.detector.disable.length > 0) {
+      console.log(`Disabled: ${config.detector.disable.join(', ')}`);
+    }
+  }
+
+  if (config.errors.length > 0) {
+    console.error(`\nIgnored invalid settings:\n${config.errors.map(e => `  ${e}`).join('\n')}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a transcript through the correction detector and report what it would flag
+ * @param {CommandArgs} args
+ */
+function cmdReplay({ positionals, values }) {
+  const [file] = positionals;
+  if (!file) {
+    throw new StoreError('replay requires a transcript file');
+  }
+  if (!fs.existsSync(file)) {
+    throw new StoreError(`No transcript at ${file}`);
+  }
+
+  const replayed = replayTranscript(readTranscript(file), buildDetector(loadConfig().detector));
+  const flagged = replayed.filter(r => r.detection.isCorrection && !r.detection.skipLearning);
+  const skipped = replayed.filter(r => r.detection.skipLearning);
+  const shown = values.all ? replayed : [...flagged, ...skipped].sort((a, b) => a.turn - b.turn);
+
+  if (values.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+
+  for (const { turn, timestamp, message, detection } of shown) {
+    const excerpt = message.replace(/\s+/g, ' ').slice(0, 100);
+    console.log(`#${turn}${timestamp ? `  ${timestamp.replace('T', ' ').slice(0, 16)}` : ''}  "${excerpt}${message.length > 100 ? '…' : ''}"`);
+
+    if (detection.skipLearning) {
+      console.log(`  Would skip: "${detection.trace.skipReason}" (skip signal ${detection.trace.skipSignal})\n`);
+      continue;
+    }
+    if (!detection.isCorrection) {
+      console.log(`  Not flagged: ${detection.trace.ignoredReason || `confidence ${detection.confidence.toFixed(2)}`}\n`);
+      continue;
+    }
+
+    const details = [`${detection.confidence.toFixed(2)} ${confidenceLabel(detection.confidence)}${detection.hasContext ? ', context-aware' : ''}`];
+    if (detection.categoryHints.length > 0) details.push(`hints: ${detection.categoryHints.join(', ')}`);
+    if (detection.tagHints.length > 0) details.push(`tags: ${detection.tagHints.join(', ')}`);
+    if (detection.badExample) details.push(`bad example: \`${detection.badExample}\``);
+    console.log(`  Would flag: ${details.join(' | ')}`);
+    console.log(`  Signals: ${detection.trace.signals.map(s => `${s.id} ${s.weight.toFixed(2)}`).join(', ')}\n`);
+  }
+
+  console.log(`Replayed ${replayed.length} user message${replayed.length === 1 ? '' : 's'} from ${file}: ${flagged.length} would be flagged, ${skipped.length} skipped as one-offs. Nothing was saved.`);
+}
+
+/**
+ * Queue corrections that keep coming up in past transcripts for review
+ * @param {CommandArgs} args
+ */
+function cmdMine({ positionals, values }) {
+  const dir = positionals[0] || getTranscriptsDir();
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new StoreError(`No transcript directory at ${dir}`);
+  }
+  const minCount = values['min-count'] === undefined ? 2 : Number(values['min-count']);
+  if (!Number.isInteger(minCount) || minCount < 1) {
+    throw new StoreError(`--min-count must be a positive whole number, got "${values['min-count']}"`);
+  }
+
+  const scope = getScope(values) || 'project';
+  const candidatesFile = getCandidatesFile();
+  const rejected = readStore(candidatesFile).archived || [];
+  const existing = [...loadMergedPatterns(), ...loadPatterns(candidatesFile), ...rejected];
+  const result = mineTranscripts(dir, buildDetector(loadConfig().detector), existing, minCount);
+
+  console.log(`Scanned ${result.files} transcript${result.files === 1 ? '' : 's'}: ${result.messages} messages, ${result.corrections} corrections`);
+  if (result.candidates.length === 0) {
+    console.log(`No correction came up ${minCount} or more times.`);
+    return;
+  }
+
+  const taken = new Set(existing.map(p => p.name));
+  const patterns = [];
+  for (const { fields, mined, coveredBy } of result.candidates) {
+    if (coveredBy) {
+      const why = rejected.includes(coveredBy) ? `rejected in review as ${coveredBy.name}` : `covered by ${coveredBy.name}`;
+      console.log(`Skipped: ${fields.name}, seen ${mined.occurrences}x (${why})`);
+      continue;
+    }
+
+    let name = fields.name;
+    for (let n = 2; taken.has(name); n++) {
+      name = `${fields.name}-${n}`;
+    }
+    taken.add(name);
+
+    const pattern = createPattern({ ...fields, name });
+    pattern.targetScope = scope;
+    pattern.mined = mined;
+    patterns.push(pattern);
+    console.log(`${values['dry-run'] ? 'Would queue' : 'Queued'}: ${name} [${pattern.category}]\n${formatMined(pattern)}`);
+  }
+  if (values['dry-run'] || patterns.length === 0) return;
+
+  updateStore(candidatesFile, data => {
+    data.patterns.push(...patterns);
+  }, changeInfo('mine', values, 'corrections repeated across past transcripts'));
+  console.log(`${patterns.length} candidate${patterns.length === 1 ? '' : 's'} queued; run /patterns review to accept or reject them`);
+}
+
+/**
+ * Subcommands and the options each accepts
+ * @type {Record<string, { run: function(CommandArgs): void, options?: Record<string, Object> }>}
+ */
+const COMMANDS = {
+  add: { run: cmdAdd, options: PATTERN_OPTIONS },
+  update: { run: cmdUpdate, options: PATTERN_OPTIONS },
+  remove: { run: cmdRemove, options: { ...REASON_OPTION, ...SCOPE_OPTION } },
+  clear: { run: cmdClear, options: { yes: { type: 'boolean' }, ...REASON_OPTION, ...SCOPE_OPTION } },
+  history: { run: cmdHistory, options: { limit: { type: 'string' }, json: { type: 'boolean' } } },
+  diff: { run: cmdDiff },
+  undo: { run: cmdUndo, options: REASON_OPTION },
+  list: { run: cmdList, options: { category: { type: 'string' }, tag: { type: 'string' }, json: { type: 'boolean' }, ...SCOPE_OPTION } },
+  search: { run: cmdSearch, options: SCOPE_OPTION },
+  export: { run: cmdExport, options: { format: { type: 'string' }, out: { type: 'string' }, ...SCOPE_OPTION } },
+  review: { run: cmdReview, options: PATTERN_OPTIONS },
+  conflicts: { run: cmdConflicts, options: SCOPE_OPTION },
+  archived: { run: cmdArchived, options: { json: { type: 'boolean' }, ...SCOPE_OPTION } },
+  restore: { run: cmdRestore, options: { ...REASON_OPTION, ...SCOPE_OPTION } },
+  propose: { run: cmdPropose, options: { ...REASON_OPTION, ...SCOPE_OPTION } },
+  proposals: { run: cmdProposals, options: { all: { type: 'boolean' }, json: { type: 'boolean' } } },
+  approve: { run: cmdApprove, options: { force: { type: 'boolean' }, ...REASON_OPTION } },
+  reject: { run: cmdReject, options: REASON_OPTION },
+  import: { run: cmdImport, options: { 'dry-run': { type: 'boolean' }, review: { type: 'boolean' }, ...REASON_OPTION, ...SCOPE_OPTION } },
+  'test-rule': { run: cmdTestRule, options: PATTERN_OPTIONS },
+  why: { run: cmdWhy, options: { limit: { type: 'string' }, json: { type: 'boolean' } } },
+  config: { run: cmdConfig, options: { json: { type: 'boolean' } } },
+  replay: { run: cmdReplay, options: { all: { type: 'boolean' }, json: { type: 'boolean' } } },
+  mine: { run: cmdMine, options: { 'min-count': { type: 'string' }, 'dry-run': { type: 'boolean' }, ...REASON_OPTION, ...SCOPE_OPTION } },
+};
+
+/**
+ * Main entry point
+ */
+function main() {
+  const [commandName, ...rest] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(commandName && commandName !== 'help' ? 1 : 0);
+  }
+
+  try {
+    const { positionals, values } = parseArgs({
+      args: rest,
+      options: command.options || {},
+      allowPositionals: true,
+    });
+    command.run({ positionals, values });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();
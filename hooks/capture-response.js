@@ -1,36 +1,18 @@
 #!/usr/bin/env node
 /**
  * Correct Habits - Stop Hook
- * Captures Claude's response for context-aware correction detection
+ * Captures Claude's response for context-aware correction detection, adding it to
+ * the session's recent responses, snapshots the files it wrote so manual edits to
+ * them can be spotted on the next prompt, and records the turn's pattern usage
  */
 
 const fs = require('fs');
-const path = require('path');
-
-/**
- * @typedef {Object} ToolUseInfo
- * @property {string} tool - Tool name (e.g., "Edit", "Write")
- * @property {string} [file] - File path if applicable
- * @property {string} [code] - Code snippet if applicable
- */
-
-/**
- * @typedef {Object} LastResponse
- * @property {string} sessionId - Session identifier
- * @property {string} response - Claude's last message text
- * @property {string[]} toolsUsed - List of tools used
- * @property {string[]} filesModified - List of files modified
- * @property {string} codeWritten - Extracted code snippets
- * @property {string} timestamp - ISO timestamp
- */
-
-/**
- * @typedef {Object} TranscriptMessage
- * @property {string} type - Message type
- * @property {Object} message - Message content
- * @property {string} message.role - 'user' or 'assistant'
- * @property {Array<Object>} message.content - Content blocks
- */
+const { loadConfig } = require('../lib/config');
+const { recordTurn } = require('../lib/context');
+const { snapshotFiles, writtenCode } = require('../lib/edits');
+const { markPendingAsked } = require('../lib/pending');
+const { buildLastResponse, findLastAssistantTurn, readTranscript } = require('../lib/transcript');
+const { flushUsage } = require('../lib/usage');
 
 /**
  * @typedef {Object} HookInput
@@ -39,142 +21,6 @@ const path = require('path');
  * @property {string} [stop_hook_active] - Whether stop hook is active
  */
 
-const STATE_DIR = path.join(process.cwd(), '.claude', 'correct-habits');
-const STATE_FILE = path.join(STATE_DIR, 'last-response.json');
-
-/**
- * Ensure state directory exists
- */
-function ensureStateDir() {
-  if (!fs.existsSync(STATE_DIR)) {
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-  }
-}
-
-/**
- * Read and parse the transcript JSONL file
- * @param {string} transcriptPath - Path to transcript file
- * @returns {TranscriptMessage[]} - Array of transcript messages
- */
-function readTranscript(transcriptPath) {
-  if (!fs.existsSync(transcriptPath)) {
-    return [];
-  }
-
-  const content = fs.readFileSync(transcriptPath, 'utf8');
-  const lines = content.trim().split('\n').filter(line => line.trim());
-
-  return lines.map(line => {
-    try {
-      return JSON.parse(line);
-    } catch {
-      return null;
-    }
-  }).filter(Boolean);
-}
-
-/**
- * Find the last assistant message in the transcript
- * @param {TranscriptMessage[]} transcript - Parsed transcript
- * @returns {TranscriptMessage | null} - Last assistant message or null
- */
-function findLastAssistantMessage(transcript) {
-  for (let i = transcript.length - 1; i >= 0; i--) {
-    const entry = transcript[i];
-    if (entry?.message?.role === 'assistant') {
-      return entry;
-    }
-  }
-  return null;
-}
-
-/**
- * Extract text content from message content blocks
- * @param {Array<Object>} contentBlocks - Content blocks from message
- * @returns {string} - Extracted text
- */
-function extractTextContent(contentBlocks) {
-  if (!Array.isArray(contentBlocks)) return '';
-
-  return contentBlocks
-    .filter(block => block.type === 'text')
-    .map(block => block.text || '')
-    .join('\n')
-    .trim();
-}
-
-/**
- * Extract tool usage information from content blocks
- * @param {Array<Object>} contentBlocks - Content blocks from message
- * @returns {ToolUseInfo[]} - Array of tool use info
- */
-function extractToolUse(contentBlocks) {
-  if (!Array.isArray(contentBlocks)) return [];
-
-  /** @type {ToolUseInfo[]} */
-  const tools = [];
-
-  for (const block of contentBlocks) {
-    if (block.type === 'tool_use') {
-      const toolInfo = {
-        tool: block.name || 'unknown',
-      };
-
-      const input = block.input || {};
-
-      // Extract file path for file-related tools
-      if (input.file_path) {
-        toolInfo.file = input.file_path;
-      } else if (input.path) {
-        toolInfo.file = input.path;
-      }
-
-      // Extract code content for Edit/Write tools
-      if (block.name === 'Edit') {
-        if (input.new_string) {
-          toolInfo.code = input.new_string;
-        }
-      } else if (block.name === 'Write') {
-        if (input.content) {
-          toolInfo.code = input.content;
-        }
-      }
-
-      tools.push(toolInfo);
-    }
-  }
-
-  return tools;
-}
-
-/**
- * Build the last response state object
- * @param {string} sessionId - Session ID
- * @param {TranscriptMessage} assistantMessage - Last assistant message
- * @returns {LastResponse} - State object to save
- */
-function buildLastResponse(sessionId, assistantMessage) {
-  const contentBlocks = assistantMessage?.message?.content || [];
-  const textContent = extractTextContent(contentBlocks);
-  const toolUseInfo = extractToolUse(contentBlocks);
-
-  const toolsUsed = [...new Set(toolUseInfo.map(t => t.tool))];
-  const filesModified = [...new Set(toolUseInfo.filter(t => t.file).map(t => t.file))];
-  const codeSnippets = toolUseInfo
-    .filter(t => t.code)
-    .map(t => t.code)
-    .join('\n---\n');
-
-  return {
-    sessionId,
-    response: textContent,
-    toolsUsed,
-    filesModified,
-    codeWritten: codeSnippets,
-    timestamp: new Date().toISOString(),
-  };
-}
-
 /**
  * Main entry point
  */
@@ -202,6 +48,12 @@ function main() {
   const transcriptPath = hookInput.transcript_path;
   const sessionId = hookInput.session_id || 'unknown';
 
+  try {
+    flushUsage(sessionId);
+  } catch {
+    // Losing a turn's counts is better than failing the hook
+  }
+
   if (!transcriptPath) {
     process.exit(0);
   }
@@ -213,18 +65,34 @@ function main() {
     process.exit(0);
   }
 
-  // Find last assistant message
-  const lastAssistant = findLastAssistantMessage(transcript);
+  // Everything Claude wrote since the user's last message
+  const lastTurn = findLastAssistantTurn(transcript);
 
-  if (!lastAssistant) {
+  if (lastTurn.length === 0) {
     process.exit(0);
   }
 
   // Build and save state
-  ensureStateDir();
-  const lastResponse = buildLastResponse(sessionId, lastAssistant);
+  const lastResponse = buildLastResponse(sessionId, lastTurn);
+
+  try {
+    recordTurn(lastResponse, loadConfig().detector.contextTurns);
+  } catch {
+    // The next correction is analyzed without this turn as context
+  }
 
-  fs.writeFileSync(STATE_FILE, JSON.stringify(lastResponse, null, 2));
+  try {
+    // Once Claude has asked for pending examples, the user's next message is the reply
+    markPendingAsked(lastResponse.response, sessionId);
+  } catch {
+    // The request stays unarmed and is asked again next session
+  }
+
+  try {
+    snapshotFiles(sessionId, writtenCode(lastTurn));
+  } catch {
+    // Without a snapshot, manual edits just aren't noticed this turn
+  }
 
   // Stop hook doesn't need to output anything
   process.exit(0);
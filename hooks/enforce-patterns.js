@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Correct Habits - PostToolUse Hook
+ * Checks code written by Edit/MultiEdit/Write against learned patterns' rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appliesToFile, languageOf } = require('../lib/applies-to');
+const { SELECTORS_UNAVAILABLE, loadAstTools } = require('../lib/ast');
+const { checkCode, ruleAppliesToFile, ruleCoversFile } = require('../lib/rules');
+const { loadMergedPatterns } = require('../lib/store');
+const { getToolCode, getToolFile } = require('../lib/tools');
+const { noteUsage } = require('../lib/usage');
+
+/**
+ * @typedef {import('../lib/rules').Violation} Violation
+ */
+
+/**
+ * @typedef {Object} HookInput
+ * @property {string} [tool_name] - Tool that just ran
+ * @property {Record<string, any>} [tool_input] - Input the tool was called with
+ * @property {string} [session_id] - Session ID
+ * @property {string} [cwd] - Project directory
+ */
+
+/**
+ * Describe violations so the assistant knows what to fix
+ * @param {Violation[]} violations
+ * @param {string} [file] - File that was written
+ * @returns {string}
+ */
+function formatViolations(violations, file) {
+  const where = file ? ` in ${path.basename(file)}` : '';
+  let output = `Learned pattern violation${violations.length === 1 ? '' : 's'}${where}:\n`;
+
+  for (const { pattern, kind, line, excerpt } of violations) {
+    output += `\n- ${pattern.name}: ${pattern.description}\n`;
+    if (kind === 'required') {
+      output += `  The file must match /${pattern.rule.required}/\n`;
+    } else {
+      output += `  Line ${line}: ${excerpt}\n`;
+    }
+    if (pattern.good_example) {
+      output += `  Preferred: ${pattern.good_example.split('\n')[0]}\n`;
+    }
+  }
+
+  output += '\nFix the code to follow these patterns.';
+  return output;
+}
+
+/**
+ * Patterns with a selector rule for the file that can't be checked because the
+ * project has no parser
+ * @param {import('../lib/store').Pattern[]} patterns
+ * @param {string | undefined} file
+ * @param {string} cwd
+ * @returns {import('../lib/store').Pattern[]}
+ */
+function uncheckedSelectors(patterns, file, cwd) {
+  if (file && !['javascript', 'typescript'].includes(languageOf(file))) return [];
+  const candidates = patterns.filter(p => p.rule?.selector && ruleAppliesToFile(p.rule, file, cwd));
+  return candidates.length > 0 && !loadAstTools(cwd) ? candidates : [];
+}
+
+/**
+ * Read the file as it is after the tool ran
+ * @param {string} [file]
+ * @returns {string | undefined}
+ */
+function readWrittenFile(file) {
+  if (!file) return undefined;
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+  // Parse stdin
+  let input = '';
+  try {
+    input = fs.readFileSync('/dev/stdin', 'utf8');
+  } catch {
+    process.exit(0);
+  }
+
+  if (!input.trim()) {
+    process.exit(0);
+  }
+
+  /** @type {HookInput} */
+  let hookInput;
+  try {
+    hookInput = JSON.parse(input);
+  } catch {
+    process.exit(0);
+  }
+
+  const toolName = hookInput.tool_name || '';
+  const toolInput = hookInput.tool_input || {};
+  const code = getToolCode(toolName, toolInput);
+
+  if (!code) {
+    process.exit(0);
+  }
+
+  const cwd = hookInput.cwd || process.cwd();
+  const file = getToolFile(toolInput);
+  const fileContent = readWrittenFile(file);
+  // Patterns limited by appliesTo only apply when the file is known to match
+  const patterns = loadMergedPatterns(cwd).filter(p => (file ? appliesToFile(p, file, cwd) : !p.appliesTo));
+
+  // Check each MultiEdit chunk on its own so it can be located in the file
+  const chunks = toolName === 'MultiEdit'
+    ? toolInput.edits.map(edit => edit.new_string).filter(Boolean)
+    : [code];
+
+  const violations = [];
+  const seen = new Set();
+  for (const chunk of chunks) {
+    for (const violation of checkCode(patterns, { code: chunk, file, fileContent, cwd })) {
+      // Report each pattern once, even if several chunks break it
+      if (!seen.has(violation.pattern.id)) {
+        seen.add(violation.pattern.id);
+        violations.push(violation);
+      }
+    }
+  }
+
+  // Patterns that had a say in this write; the Stop hook credits those Claude had in context
+  const applied = patterns.filter(pattern => !seen.has(pattern.id) && ruleCoversFile(pattern, file, cwd));
+
+  // Counted once per turn by the Stop hook, rather than rewriting the stores on every write
+  try {
+    noteUsage(hookInput.session_id || 'unknown', {
+      applied: applied.map(p => p.id),
+      violated: [...seen],
+    });
+  } catch {
+    // Usage tracking must never get in the way of the check itself
+  }
+
+  const unchecked = uncheckedSelectors(patterns, file, cwd);
+  if (violations.length === 0 && unchecked.length === 0) {
+    process.exit(0);
+  }
+
+  const notes = [];
+  if (violations.length > 0) {
+    notes.push(formatViolations(violations, file));
+  }
+  if (unchecked.length > 0) {
+    notes.push(`Not checked: ${unchecked.map(p => p.name).join(', ')} (${SELECTORS_UNAVAILABLE}). Follow these patterns without the check.`);
+  }
+  const message = notes.join('\n\n');
+
+  // Any violated pattern set to "block" makes the whole result a block
+  if (violations.some(v => v.pattern.enforcement === 'block')) {
+    console.log(JSON.stringify({
+      decision: 'block',
+      reason: message
+    }));
+  } else {
+    // Plain context from PostToolUse never reaches Claude; additionalContext does
+    console.log(JSON.stringify({
+      hookSpecificOutput: {
+        hookEventName: 'PostToolUse',
+        additionalContext: message
+      }
+    }));
+  }
+}
+
+main();
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Correct Habits - Relevant Patterns Hook
+ * Injects the learned patterns relevant to each prompt, so patterns beyond the
+ * session-start set are still applied when they matter
+ */
+
+const fs = require('fs');
+const { appliesToDirectory } = require('../lib/applies-to');
+const { loadConfig } = require('../lib/config');
+const { splitForSession } = require('../lib/ranking');
+const { renderLearnedPatterns, truncateExample } = require('../lib/render');
+const { findRelevant } = require('../lib/retrieval');
+const { loadMergedPatterns, scopeLabel } = require('../lib/store');
+const { setPromptPatterns } = require('../lib/usage');
+
+/**
+ * @typedef {import('../lib/store').ScopedPattern} ScopedPattern
+ */
+
+/**
+ * @typedef {Object} HookInput
+ * @property {string} [message]
+ * @property {string} [prompt]
+ * @property {string} [content]
+ * @property {string} [session_id]
+ */
+
+const MAX_RELEVANT_PATTERNS = 5;
+
+/**
+ * Format an example inline when it's one line, as a code block otherwise
+ * @param {string} label
+ * @param {string} example
+ * @param {number} maxLines - Longer examples are cut
+ * @returns {string}
+ */
+function formatExample(label, example, maxLines) {
+  if (!example.includes('\n')) {
+    return `  ${label} \`${example}\`\n`;
+  }
+  return `  ${label}\n  \`\`\`\n  ${truncateExample(example, maxLines).split('\n').join('\n  ')}\n  \`\`\`\n`;
+}
+
+/**
+ * Format relevant patterns for context injection
+ * @param {ScopedPattern[]} patterns
+ * @param {number} maxExampleLines
+ * @returns {string}
+ */
+function formatRelevantPatterns(patterns, maxExampleLines) {
+  if (patterns.length === 0) return '';
+
+  let output = `<relevant_patterns>
+Learned patterns that apply to this request (in addition to those loaded at session start):
+
+`;
+
+  for (const p of patterns) {
+    output += `- **${p.name}** (${p.category}, ${scopeLabel(p)}): ${p.description}\n`;
+    if (p.bad_example) {
+      output += formatExample("❌ Don't:", p.bad_example, maxExampleLines);
+    }
+    if (p.good_example) {
+      output += formatExample('✓ Do:', p.good_example, maxExampleLines);
+    }
+  }
+
+  output += `</relevant_patterns>`;
+  return output;
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+  // Parse stdin
+  let input = '';
+  try {
+    input = fs.readFileSync('/dev/stdin', 'utf8');
+  } catch {
+    process.exit(0);
+  }
+
+  if (!input.trim()) {
+    process.exit(0);
+  }
+
+  /** @type {HookInput} */
+  let hookInput;
+  try {
+    hookInput = JSON.parse(input);
+  } catch {
+    process.exit(0);
+  }
+
+  const message = hookInput.message || hookInput.prompt || hookInput.content || '';
+
+  if (!message) {
+    process.exit(0);
+  }
+
+  // Patterns rendered at session start are already in context; only search the
+  // rest, including those the token budget left out
+  const { injection, categories } = loadConfig();
+  const { session, rest } = splitForSession(loadMergedPatterns().filter(p => appliesToDirectory(p)));
+  const { dropped } = renderLearnedPatterns(session, injection, categories);
+  const relevant = findRelevant(message, [...dropped, ...rest], MAX_RELEVANT_PATTERNS).map(match => match.pattern);
+
+  // Remembered so patterns applied this turn can be counted (see lib/usage.js)
+  try {
+    setPromptPatterns(hookInput.session_id || 'unknown', relevant.map(p => p.id));
+  } catch {
+    // Only usage counts depend on it
+  }
+
+  if (relevant.length === 0) {
+    process.exit(0);
+  }
+
+  console.log(JSON.stringify({
+    context: formatRelevantPatterns(relevant, injection.maxExampleLines),
+    continue: true
+  }));
+}
+
+main();
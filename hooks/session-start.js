@@ -5,37 +5,28 @@
  */
 
 const fs = require('fs');
-const path = require('path');
+const { appliesToDirectory } = require('../lib/applies-to');
+const { loadConfig } = require('../lib/config');
+const { pruneSessionContexts } = require('../lib/context');
+const { runLifecycle } = require('../lib/lifecycle');
+const { getCandidatesFile } = require('../lib/paths');
+const { PENDING_MAX_SESSIONS, startPendingSession } = require('../lib/pending');
+const { splitForSession } = require('../lib/ranking');
+const { renderLearnedPatterns } = require('../lib/render');
+const { loadMergedPatterns, loadPatterns } = require('../lib/store');
+const { recordInjected, startSessionUsage } = require('../lib/usage');
 
 /**
- * @typedef {'naming' | 'error-handling' | 'architecture' | 'testing' | 'style' | 'imports' | 'other'} PatternCategory
+ * @typedef {import('../lib/store').ArchivedPattern} ArchivedPattern
  */
 
 /**
- * @typedef {Object} Pattern
- * @property {string} id - Unique identifier (e.g., "pat_1234567890_abc123")
- * @property {string} name - Kebab-case name (e.g., "prefer-early-returns")
- * @property {string} description - Clear, actionable description of the pattern
- * @property {PatternCategory} category - Pattern category for grouping
- * @property {string} [bad_example] - Code example showing what NOT to do
- * @property {string} [good_example] - Code example showing the preferred approach
- * @property {number} confidence - Confidence score 0-1
- * @property {string} [reasoning] - Why this pattern was learned
- * @property {string} createdAt - ISO date string
- * @property {number} hitCount - Number of times this pattern was applied
+ * @typedef {import('../lib/pending').PendingPattern} PendingPattern
  */
 
 /**
- * @typedef {Object} PatternsData
- * @property {Pattern[]} patterns - Array of learned patterns
- * @property {number} version - Schema version
- */
-
-/**
- * @typedef {Object} PendingPattern
- * @property {string} name - Pattern name
- * @property {string} description - Pattern description
- * @property {string} [bad_example] - Known bad example
+ * @typedef {Object} HookInput
+ * @property {string} [session_id] - Session ID
  */
 
 /**
@@ -44,102 +35,17 @@ const path = require('path');
  * @property {boolean} continue - Whether to continue processing
  */
 
-const PATTERNS_FILE = path.join(process.cwd(), '.claude', 'correct-habits', 'patterns.json');
-const PENDING_FILE = path.join(process.cwd(), '.claude', 'correct-habits', 'pending.json');
-const LAST_RESPONSE_FILE = path.join(process.cwd(), '.claude', 'correct-habits', 'last-response.json');
-
-const STATE_STALENESS_MS = 30 * 60 * 1000; // 30 minutes
-
 /**
- * Load patterns from the patterns file
- * @returns {PatternsData}
+ * Read the hook input. SessionStart input is optional, so any problem yields {}.
+ * @returns {HookInput}
  */
-function loadPatterns() {
-  if (fs.existsSync(PATTERNS_FILE)) {
-    return JSON.parse(fs.readFileSync(PATTERNS_FILE, 'utf8'));
-  }
-  return { patterns: [], version: 1 };
-}
-
-/**
- * Load pending patterns that need examples
- * @returns {PendingPattern[]}
- */
-function loadPending() {
-  if (fs.existsSync(PENDING_FILE)) {
-    return JSON.parse(fs.readFileSync(PENDING_FILE, 'utf8'));
-  }
-  return [];
-}
-
-/**
- * Clean up stale state files from previous sessions
- * Removes last-response.json if it's older than 30 minutes
- */
-function cleanupStaleState() {
-  if (!fs.existsSync(LAST_RESPONSE_FILE)) {
-    return;
-  }
-
+function readHookInput() {
   try {
-    const data = JSON.parse(fs.readFileSync(LAST_RESPONSE_FILE, 'utf8'));
-    const timestamp = new Date(data.timestamp).getTime();
-    const now = Date.now();
-
-    if (now - timestamp > STATE_STALENESS_MS) {
-      fs.unlinkSync(LAST_RESPONSE_FILE);
-    }
+    const input = fs.readFileSync('/dev/stdin', 'utf8');
+    return input.trim() ? JSON.parse(input) : {};
   } catch {
-    // If file is corrupted or unreadable, remove it
-    try {
-      fs.unlinkSync(LAST_RESPONSE_FILE);
-    } catch {
-      // Ignore deletion errors
-    }
-  }
-}
-
-/**
- * Format patterns as markdown for context injection
- * @param {Pattern[]} patterns - Patterns to format
- * @returns {string} Formatted markdown string
- */
-function formatPatternsForContext(patterns) {
-  if (patterns.length === 0) return '';
-
-  // Group by category
-  /** @type {Record<string, Pattern[]>} */
-  const byCategory = patterns.reduce((acc, p) => {
-    const cat = p.category || 'other';
-    if (!acc[cat]) acc[cat] = [];
-    acc[cat].push(p);
-    return acc;
-  }, /** @type {Record<string, Pattern[]>} */ ({}));
-
-  let output = `\n<learned_patterns priority="high">
-# User's Coding Patterns & Preferences
-These patterns were learned from previous corrections. Follow them strictly.
-
-`;
-
-  for (const [category, categoryPatterns] of Object.entries(byCategory)) {
-    output += `## ${category.charAt(0).toUpperCase() + category.slice(1)}\n\n`;
-    
-    for (const p of categoryPatterns) {
-      output += `### ${p.name}\n`;
-      output += `${p.description}\n\n`;
-      
-      if (p.bad_example) {
-        output += `❌ Don't:\n\`\`\`\n${p.bad_example}\n\`\`\`\n\n`;
-      }
-      if (p.good_example) {
-        output += `✓ Do:\n\`\`\`\n${p.good_example}\n\`\`\`\n\n`;
-      }
-    }
+    return {};
   }
-
-  output += `</learned_patterns>\n`;
-  return output;
 }
 
 /**
@@ -161,42 +67,122 @@ Please provide a quick code example for each:
     if (p.bad_example) {
       output += `   What NOT to do: \`${p.bad_example}\`\n`;
     }
-    output += `   → What's the correct way?\n\n`;
+    if (p.needs.includes('good_example')) {
+      output += `   → What's the correct way?\n`;
+    }
+    if (p.needs.includes('bad_example')) {
+      output += `   → What should be avoided?\n`;
+    }
+    output += '\n';
   });
 
-  output += `Reply with examples or say "skip" to dismiss.
+  output += `Ask the user for these once, briefly, naming each pattern as written above. In their reply,
+code blocks or \`inline code\` are saved as the examples in the order asked; "skip" dismisses them.
+Unanswered requests are asked again in later sessions, up to ${PENDING_MAX_SESSIONS} in total.
 </pattern_examples_needed>\n`;
 
   return output;
 }
 
+/**
+ * Remind the user about learned patterns waiting for review
+ * @param {number} count - Number of review candidates
+ * @returns {string} Formatted reminder string
+ */
+function formatReviewReminder(count) {
+  if (count === 0) return '';
+
+  return `\n<patterns_awaiting_review>
+${count} learned pattern${count === 1 ? ' is' : 's are'} waiting for review and won't be applied until accepted.
+Mention this once to the user and suggest running /patterns review.
+</patterns_awaiting_review>\n`;
+}
+
+/**
+ * Tell the user which patterns were archived for going unused
+ * @param {ArchivedPattern[]} archived - Patterns archived at this session start
+ * @returns {string} Formatted notice string
+ */
+function formatArchivedNotice(archived) {
+  if (archived.length === 0) return '';
+
+  return `\n<patterns_archived>
+These learned patterns went unused long enough that their confidence decayed, and were archived: ${archived.map(p => p.name).join(', ')}.
+Mention this once to the user; /patterns restore <name> brings one back.
+</patterns_archived>\n`;
+}
+
+/**
+ * Tell the user about settings in their config files that were ignored
+ * @param {string[]} errors - Problems reported by loadConfig
+ * @returns {string} Formatted notice string
+ */
+function formatConfigErrors(errors) {
+  if (errors.length === 0) return '';
+
+  return `\n<patterns_config_errors>
+These correct-habits settings are invalid and were ignored (defaults apply instead):
+${errors.map(e => `- ${e}`).join('\n')}
+Mention this once to the user so they can fix the config file.
+</patterns_config_errors>\n`;
+}
+
 /**
  * Main entry point - loads patterns and outputs context for injection
  * @returns {void}
  */
 function main() {
+  const hookInput = readHookInput();
+
   // Clean up stale state from previous sessions
-  cleanupStaleState();
+  try {
+    pruneSessionContexts();
+  } catch {
+    // Leftover context files are harmless
+  }
 
-  const patternsData = loadPatterns();
-  const pending = loadPending();
-  
-  // Sort patterns by hit count and recency
-  const sortedPatterns = patternsData.patterns.sort((a, b) => {
-    const scoreA = (a.hitCount || 0) * 2 + (new Date(a.createdAt) > Date.now() - 7 * 24 * 60 * 60 * 1000 ? 1 : 0);
-    const scoreB = (b.hitCount || 0) * 2 + (new Date(b.createdAt) > Date.now() - 7 * 24 * 60 * 60 * 1000 ? 1 : 0);
-    return scoreB - scoreA;
-  });
+  const config = loadConfig();
+
+  // Decay and archive before loading, so ranking sees current confidence
+  let archived = [];
+  try {
+    archived = runLifecycle(config.lifecycle);
+  } catch {
+    // A locked or invalid store shouldn't stop the session from starting
+  }
 
-  // Limit to top 20 patterns to avoid context bloat
-  const topPatterns = sortedPatterns.slice(0, 20);
+  // Patterns limited to other parts of the repository can't apply here
+  const patterns = loadMergedPatterns().filter(p => appliesToDirectory(p));
+
+  let pending = [];
+  try {
+    pending = startPendingSession(hookInput.session_id || 'unknown');
+  } catch {
+    // Same as above
+  }
   
-  const contextInjection = formatPatternsForContext(topPatterns);
+  // Only the top patterns are injected up front, within the token budget, to avoid
+  // context bloat; the rest are injected per prompt when relevant (see inject-relevant.js)
+  const { session: topPatterns } = splitForSession(patterns);
+  
+  const rendered = renderLearnedPatterns(topPatterns, config.injection, config.categories);
+  const contextInjection = rendered.text;
+  try {
+    // Rendered patterns are in context all session: applying them counts, and being loaded keeps them from decaying
+    const shown = [...rendered.full, ...rendered.brief];
+    startSessionUsage(hookInput.session_id || 'unknown', shown.map(p => p.id));
+    recordInjected(shown);
+  } catch {
+    // Only usage counts depend on it
+  }
   const pendingPrompt = formatPendingPrompt(pending);
+  const reviewReminder = formatReviewReminder(loadPatterns(getCandidatesFile()).length);
+  const archivedNotice = formatArchivedNotice(archived);
+  const configErrors = formatConfigErrors(config.errors);
 
   // Output for Claude Code to inject
   const hookOutput = {
-    context: contextInjection + pendingPrompt,
+    context: contextInjection + pendingPrompt + reviewReminder + archivedNotice + configErrors,
     continue: true
   };
 
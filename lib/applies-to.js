@@ -0,0 +1,215 @@
+/**
+ * Correct Habits - Pattern Applicability
+ * Limits a pattern to parts of a monorepo: path globs, languages or package names
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('./glob');
+const { getProjectRoot } = require('./paths');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ */
+
+/**
+ * @typedef {Object} AppliesTo
+ * @property {string[]} [paths] - Globs relative to the repository root
+ * @property {string[]} [languages] - Language names (see LANGUAGE_EXTENSIONS)
+ * @property {string[]} [packages] - Package names from package.json, or package directory names
+ */
+
+/**
+ * @typedef {Object} PackageInfo
+ * @property {string} dir - Absolute path of the package directory
+ * @property {string} [name] - "name" from its package.json
+ */
+
+/**
+ * File extensions of each language a pattern can be limited to
+ * @type {Record<string, string[]>}
+ */
+const LANGUAGE_EXTENSIONS = {
+  javascript: ['js', 'jsx', 'mjs', 'cjs'],
+  typescript: ['ts', 'tsx', 'mts', 'cts'],
+  python: ['py'],
+  ruby: ['rb'],
+  go: ['go'],
+  rust: ['rs'],
+  java: ['java'],
+  kotlin: ['kt', 'kts'],
+  swift: ['swift'],
+  css: ['css', 'scss', 'sass', 'less'],
+  html: ['html', 'htm'],
+  sql: ['sql'],
+  shell: ['sh', 'bash', 'zsh'],
+  markdown: ['md', 'mdx'],
+  json: ['json'],
+  yaml: ['yml', 'yaml'],
+};
+
+const APPLIES_TO_FIELDS = ['paths', 'languages', 'packages'];
+
+/**
+ * Check an appliesTo value
+ * @param {unknown} appliesTo
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateAppliesTo(appliesTo) {
+  if (!appliesTo || typeof appliesTo !== 'object' || Array.isArray(appliesTo)) {
+    return ['appliesTo must be an object'];
+  }
+
+  const value = /** @type {Record<string, any>} */ (appliesTo);
+  const errors = [];
+  for (const key of Object.keys(value)) {
+    if (!APPLIES_TO_FIELDS.includes(key)) {
+      errors.push(`appliesTo.${key} is not supported (expected ${APPLIES_TO_FIELDS.join(', ')})`);
+    } else if (!Array.isArray(value[key]) || value[key].some(v => typeof v !== 'string' || !v)) {
+      errors.push(`appliesTo.${key} must be an array of non-empty strings`);
+    }
+  }
+  for (const language of Array.isArray(value.languages) ? value.languages : []) {
+    if (typeof language === 'string' && !LANGUAGE_EXTENSIONS[language]) {
+      errors.push(`appliesTo.languages: "${language}" is not one of ${Object.keys(LANGUAGE_EXTENSIONS).join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Language of a file, from its extension
+ * @param {string} file
+ * @returns {string | undefined}
+ */
+function languageOf(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  return Object.keys(LANGUAGE_EXTENSIONS).find(language => LANGUAGE_EXTENSIONS[language].includes(extension));
+}
+
+/**
+ * Nearest package directory containing a path, below the repository root. The
+ * root itself isn't a package: patterns limited to packages don't apply there.
+ * @param {string} target - Absolute path of a file or directory
+ * @param {string} root - Repository root
+ * @returns {PackageInfo | undefined}
+ */
+function packageOf(target, root) {
+  let dir = target;
+  while (dir.startsWith(root + path.sep)) {
+    const manifest = path.join(dir, 'package.json');
+    if (fs.existsSync(manifest)) {
+      /** @type {PackageInfo} */
+      const info = { dir };
+      try {
+        const { name } = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+        if (typeof name === 'string' && name) info.name = name;
+      } catch {
+        // A broken manifest still marks a package directory
+      }
+      return info;
+    }
+    dir = path.dirname(dir);
+  }
+  return undefined;
+}
+
+/**
+ * @param {PackageInfo | undefined} pkg
+ * @param {string[]} packages
+ * @returns {boolean}
+ */
+function isListedPackage(pkg, packages) {
+  return Boolean(pkg) && packages.some(name => name === pkg.name || name === path.basename(pkg.dir));
+}
+
+/**
+ * Whether a pattern applies to a file. Each kind of limit that is set must
+ * match; within a kind, any entry matching is enough.
+ * @param {Pattern} pattern
+ * @param {string} file - Absolute, or relative to cwd
+ * @param {string} [cwd]
+ * @returns {boolean}
+ */
+function appliesToFile(pattern, file, cwd = process.cwd()) {
+  const { appliesTo } = pattern;
+  if (!appliesTo) return true;
+
+  const root = getProjectRoot(cwd);
+  const absolute = path.resolve(cwd, file);
+  if (appliesTo.paths && !matchesAny(path.relative(root, absolute), appliesTo.paths)) {
+    return false;
+  }
+  if (appliesTo.languages && !appliesTo.languages.includes(languageOf(absolute))) {
+    return false;
+  }
+  if (appliesTo.packages && !isListedPackage(packageOf(absolute, root), appliesTo.packages)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Literal start of a glob, up to its first wildcard
+ * @param {string} glob
+ * @returns {string}
+ */
+function globPrefix(glob) {
+  return glob.replace(/^\.\//, '').split(/[*?[{]/)[0];
+}
+
+/**
+ * Whether a pattern can apply to work in a directory, when the files aren't
+ * known yet (at session start, or for a prompt). Work at the repository root
+ * can touch anything, so only limits that rule out the whole directory count:
+ * path globs pointing elsewhere and packages other than the one it's in.
+ * Languages can't be judged from a directory.
+ * @param {Pattern} pattern
+ * @param {string} [cwd]
+ * @returns {boolean}
+ */
+function appliesToDirectory(pattern, cwd = process.cwd()) {
+  const { appliesTo } = pattern;
+  if (!appliesTo) return true;
+
+  const root = getProjectRoot(cwd);
+  const dir = path.resolve(cwd);
+  if (dir === root) return true;
+
+  const relative = path.relative(root, dir).split(path.sep).join('/');
+  if (appliesTo.paths) {
+    const overlaps = appliesTo.paths.some(glob => {
+      // Slash-less globs match file names at any depth
+      if (!glob.includes('/')) return true;
+      const prefix = globPrefix(glob);
+      return prefix.startsWith(`${relative}/`) || `${relative}/`.startsWith(prefix);
+    });
+    if (!overlaps) return false;
+  }
+  if (appliesTo.packages) {
+    const pkg = packageOf(dir, root);
+    if (pkg && !isListedPackage(pkg, appliesTo.packages)) return false;
+  }
+  return true;
+}
+
+/**
+ * One-line description of where a pattern applies
+ * @param {AppliesTo} appliesTo
+ * @returns {string}
+ */
+function formatAppliesTo(appliesTo) {
+  return APPLIES_TO_FIELDS
+    .filter(field => appliesTo[field])
+    .map(field => `${field} ${appliesTo[field].join(', ')}`)
+    .join('; ');
+}
+
+module.exports = {
+  LANGUAGE_EXTENSIONS,
+  validateAppliesTo,
+  languageOf,
+  appliesToFile,
+  appliesToDirectory,
+  formatAppliesTo,
+};
@@ -0,0 +1,153 @@
+/**
+ * Correct Habits - AST Queries
+ * ESLint-style selector matching using the parser and esquery already installed
+ * in the project (ESLint depends on both). The plugin bundles no parser; when none
+ * can be resolved, selector rules can't be checked, and that is reported rather
+ * than passed over.
+ */
+
+const path = require('path');
+
+/**
+ * @typedef {Object} AstMatch
+ * @property {number} start - Start offset of the matched node
+ * @property {number} end - End offset of the matched node
+ */
+
+/**
+ * @typedef {Object} AstTools
+ * @property {{ parse: function(string): Object, matches: function(Object, Object, Object[]): boolean, query: function(Object, string): Object[] }} esquery
+ * @property {function(string, string): Object} parse - Parse code for a file name
+ * @property {Record<string, string[]> | undefined} visitorKeys - Child keys per node type, including TypeScript nodes
+ */
+
+const TS_EXTENSIONS = new Set(['.ts', '.tsx', '.mts', '.cts']);
+
+/** Reported wherever a selector rule can't be evaluated for want of a parser */
+const SELECTORS_UNAVAILABLE = 'selector rules unavailable: the project has no esquery with espree or @typescript-eslint/typescript-estree';
+
+/** Node keys that never hold child nodes */
+const NON_CHILD_KEYS = new Set(['parent', 'loc', 'range', 'tokens', 'comments']);
+
+/**
+ * Child keys for nodes esquery doesn't know about (TypeScript nodes, JSX)
+ * @param {Record<string, any>} node
+ * @returns {string[]}
+ */
+function fallbackKeys(node) {
+  return Object.keys(node).filter(key => !NON_CHILD_KEYS.has(key) && node[key] && typeof node[key] === 'object');
+}
+
+/** @type {Map<string, AstTools | null>} */
+const toolsCache = new Map();
+
+/**
+ * Require a module as resolved from the project, not from the plugin
+ * @param {string} name
+ * @param {string} cwd
+ * @returns {any | null}
+ */
+function requireFromProject(name, cwd) {
+  try {
+    return require(require.resolve(name, { paths: [cwd] }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve esquery and a parser from the project
+ * @param {string} [cwd] - Project directory
+ * @returns {AstTools | null} Null when the project has no usable parser
+ */
+function loadAstTools(cwd = process.cwd()) {
+  if (toolsCache.has(cwd)) {
+    return toolsCache.get(cwd);
+  }
+
+  const esquery = requireFromProject('esquery', cwd);
+  const espree = requireFromProject('espree', cwd);
+  const tsEstree = requireFromProject('@typescript-eslint/typescript-estree', cwd);
+  // Without these, esquery skips TypeScript-only children such as type annotations
+  const tsVisitorKeys = requireFromProject('@typescript-eslint/visitor-keys', cwd);
+
+  /** @type {AstTools | null} */
+  let tools = null;
+  if (esquery && (espree || tsEstree)) {
+    tools = {
+      esquery,
+      visitorKeys: tsVisitorKeys?.visitorKeys,
+      parse(code, fileName) {
+        const isTs = TS_EXTENSIONS.has(path.extname(fileName || ''));
+        const jsx = /\.[jt]sx$/.test(fileName || '') || !fileName;
+        const parseTs = () => tsEstree.parse(code, { range: true, loc: true, jsx });
+
+        if (tsEstree && (isTs || !espree)) {
+          return parseTs();
+        }
+        try {
+          return espree.parse(code, {
+            ecmaVersion: 'latest',
+            sourceType: 'module',
+            range: true,
+            loc: true,
+            ecmaFeatures: { jsx },
+          });
+        } catch (err) {
+          // Snippets without a file name may well be TypeScript
+          if (!fileName && tsEstree) return parseTs();
+          throw err;
+        }
+      },
+    };
+  }
+
+  toolsCache.set(cwd, tools);
+  return tools;
+}
+
+/**
+ * Check that a selector is valid query syntax
+ * @param {string} selector
+ * @param {string} [cwd]
+ * @returns {string | null} Error message (SELECTORS_UNAVAILABLE when there is no parser), or null if valid
+ */
+function validateSelector(selector, cwd) {
+  const tools = loadAstTools(cwd);
+  if (!tools) return SELECTORS_UNAVAILABLE;
+
+  try {
+    tools.esquery.parse(selector);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Find nodes matching a selector
+ * @param {string} code - Source to parse
+ * @param {string} selector - ESLint-style selector (e.g., "VariableDeclaration[kind='var']")
+ * @param {{ fileName?: string, cwd?: string }} [options]
+ * @returns {AstMatch[] | null} Matches, or null if the code couldn't be checked
+ */
+function queryCode(code, selector, options = {}) {
+  const tools = loadAstTools(options.cwd);
+  if (!tools) return null;
+
+  try {
+    const ast = tools.parse(code, options.fileName);
+    const queryOptions = { visitorKeys: tools.visitorKeys, fallback: fallbackKeys };
+    return tools.esquery.query(ast, selector, queryOptions).map(node => ({ start: node.range[0], end: node.range[1] }));
+  } catch {
+    // Unparseable code (often a partial snippet) or a bad selector
+    return null;
+  }
+}
+
+module.exports = {
+  SELECTORS_UNAVAILABLE,
+  loadAstTools,
+  validateSelector,
+  queryCode,
+};
@@ -0,0 +1,242 @@
+/**
+ * Correct Habits - Detection Audit Log
+ * Append-only JSONL record of every correction detection and what came of it,
+ * so a surprising score can be explained after the fact
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ensureDir } = require('./files');
+const { getDetectionsLogFile } = require('./paths');
+const path = require('path');
+
+/**
+ * @typedef {Object} SignalMatch
+ * @property {string} id - Signal id (see lib/signals)
+ * @property {'correction' | 'context' | 'edit'} kind - Basic correction signal, context-aware signal, or manual edit (see lib/edits)
+ * @property {string} pattern - Source of the signal's regex; for an edit, the file edited
+ * @property {string} match - Text in the message that matched
+ * @property {number} weight - Weight the signal contributed
+ * @property {number} [baseWeight] - Context signals: weight without validated context
+ * @property {boolean} [validated] - Context signals: whether Claude's recent responses confirmed it
+ * @property {string} [categoryHint]
+ */
+
+/**
+ * @typedef {Object} DetectionBoosts
+ * @property {number} multiSignalBonus - Added for several signals matching at once
+ * @property {number} codeMultiplier - Applied when the message contains code
+ * @property {number} contextBoost - Added for context-validated signals (after the cap)
+ * @property {boolean} identifierReference - Whether the message quoted identifiers from the last code written
+ */
+
+/**
+ * @typedef {Object} DetectionTrace
+ * @property {SignalMatch[]} signals
+ * @property {DetectionBoosts} [boosts] - Absent when scoring never ran
+ * @property {string} [skipReason] - Text that told the analyzer not to learn this
+ * @property {string} [skipSignal] - Id of the skip signal that matched it
+ * @property {string} [ignoredReason] - Why the message wasn't scored at all
+ */
+
+/**
+ * @typedef {'ignored' | 'skipped' | 'prompted' | 'learned' | 'queued' | 'merged' | 'rejected'} DetectionOutcome
+ */
+
+/**
+ * @typedef {Object} DetectionRecord
+ * @property {'detection'} type
+ * @property {string} id - Detection id, passed to `add --detection` to link the outcome
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} sessionId
+ * @property {string} messageHash - SHA-256 prefix of the full message
+ * @property {string} excerpt - Start of the message
+ * @property {number} confidence - Final score
+ * @property {number} threshold - Score needed to count as a correction
+ * @property {boolean} hasContext - Whether Claude's recent responses were available
+ * @property {DetectionTrace} trace
+ * @property {DetectionOutcome} outcome - Outcome when detected; later outcome records supersede it
+ */
+
+/**
+ * @typedef {Object} OutcomeRecord
+ * @property {'outcome'} type
+ * @property {string} id - Detection id
+ * @property {string} timestamp
+ * @property {DetectionOutcome} outcome
+ * @property {string} [pattern] - Name of the pattern saved
+ */
+
+/**
+ * @typedef {DetectionRecord & { pattern?: string }} ResolvedDetection
+ */
+
+const EXCERPT_LENGTH = 80;
+
+/** The log is rotated to a single ".1" backup past this size */
+const MAX_LOG_BYTES = 1024 * 1024;
+
+/**
+ * @returns {string}
+ */
+function generateDetectionId() {
+  return `det_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Short, stable fingerprint and a readable excerpt of a message
+ * @param {string} message
+ * @returns {{ messageHash: string, excerpt: string }}
+ */
+function summarizeMessage(message) {
+  const flat = message.replace(/\s+/g, ' ').trim();
+  return {
+    messageHash: crypto.createHash('sha256').update(message).digest('hex').slice(0, 16),
+    excerpt: flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat,
+  };
+}
+
+/**
+ * Append one record. Appends of a single short line are atomic enough that
+ * concurrent hooks don't interleave, so no lock is taken.
+ * @param {DetectionRecord | OutcomeRecord} record
+ * @param {string} [cwd]
+ */
+function appendRecord(record, cwd) {
+  const file = getDetectionsLogFile(cwd);
+  ensureDir(path.dirname(file));
+
+  try {
+    if (fs.statSync(file).size > MAX_LOG_BYTES) {
+      fs.renameSync(file, `${file}.1`);
+    }
+  } catch {
+    // No log yet
+  }
+
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Log a detection
+ * @param {Omit<DetectionRecord, 'type' | 'timestamp'>} detection
+ * @param {string} [cwd]
+ */
+function logDetection(detection, cwd) {
+  appendRecord({ type: 'detection', timestamp: new Date().toISOString(), ...detection }, cwd);
+}
+
+/**
+ * Log what became of a detection after the fact (e.g. the pattern it was saved as)
+ * @param {string} id - Detection id
+ * @param {DetectionOutcome} outcome
+ * @param {string} [pattern] - Pattern name
+ * @param {string} [cwd]
+ */
+function logOutcome(id, outcome, pattern, cwd) {
+  /** @type {OutcomeRecord} */
+  const record = { type: 'outcome', id, timestamp: new Date().toISOString(), outcome };
+  if (pattern) record.pattern = pattern;
+  appendRecord(record, cwd);
+}
+
+/**
+ * Read the most recent detections, newest first, with later outcomes applied
+ * @param {number} [limit]
+ * @param {string} [cwd]
+ * @returns {ResolvedDetection[]}
+ */
+function readDetections(limit = 1, cwd) {
+  let content = '';
+  try {
+    content = fs.readFileSync(getDetectionsLogFile(cwd), 'utf8');
+  } catch {
+    return [];
+  }
+
+  /** @type {Map<string, ResolvedDetection>} */
+  const detections = new Map();
+  for (const line of content.split('\n')) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (record?.type === 'detection') {
+      detections.set(record.id, record);
+    } else if (record?.type === 'outcome' && detections.has(record.id)) {
+      Object.assign(detections.get(record.id), { outcome: record.outcome, pattern: record.pattern });
+    }
+  }
+
+  return [...detections.values()].reverse().slice(0, limit);
+}
+
+/**
+ * Explain a detection in plain terms
+ * @param {ResolvedDetection} d
+ * @returns {string}
+ */
+function explainDetection(d) {
+  const { trace } = d;
+  let output = `${d.timestamp.replace('T', ' ').slice(0, 16)}  "${d.excerpt}"\n`;
+
+  switch (d.outcome) {
+    case 'ignored':
+      output += trace.ignoredReason
+        ? `  Ignored: ${trace.ignoredReason}\n`
+        : `  Ignored: scored ${d.confidence.toFixed(2)}, below the ${d.threshold.toFixed(2)} needed to count as a correction\n`;
+      break;
+    case 'skipped':
+      output += `  Skipped: "${trace.skipReason}" (skip signal ${trace.skipSignal}) marks it as a one-off, so it isn't learned\n`;
+      break;
+    case 'prompted':
+      output += `  Detected (${d.confidence.toFixed(2)}): Claude was asked to save it, but no pattern was recorded (judged a one-off, or not saved yet)\n`;
+      break;
+    case 'queued':
+      output += `  Detected (${d.confidence.toFixed(2)}): ${d.pattern} is waiting in /patterns review\n`;
+      break;
+    case 'rejected':
+      output += `  Detected (${d.confidence.toFixed(2)}): ${d.pattern} was rejected in review\n`;
+      break;
+    default:
+      output += `  ${d.outcome.charAt(0).toUpperCase() + d.outcome.slice(1)}${d.pattern ? ` as ${d.pattern}` : ''} (confidence ${d.confidence.toFixed(2)})\n`;
+  }
+
+  if (trace.signals.length === 0 && !trace.ignoredReason && !trace.skipReason) {
+    output += '  No correction signals matched.\n';
+  }
+  for (const s of trace.signals) {
+    const context = s.kind === 'context'
+      ? (s.validated ? `, base ${s.baseWeight.toFixed(2)}, confirmed by Claude's recent responses` : ", not confirmed by Claude's recent responses")
+      : s.kind === 'edit' ? `, changed by hand in ${s.pattern}` : '';
+    const hint = s.categoryHint ? `, suggests ${s.categoryHint}` : '';
+    output += `  ${s.weight.toFixed(2)}  "${s.match}" (${s.kind} signal ${s.id}${context}${hint})\n`;
+  }
+
+  if (trace.boosts) {
+    const { multiSignalBonus, codeMultiplier, contextBoost, identifierReference } = trace.boosts;
+    const parts = [];
+    if (multiSignalBonus > 0) parts.push(`+${multiSignalBonus.toFixed(2)} for several signals`);
+    if (codeMultiplier > 1) parts.push(`x${codeMultiplier.toFixed(2)} for code in the message`);
+    if (contextBoost > 0) parts.push(`+${contextBoost.toFixed(2)} from context${identifierReference ? ' (quotes identifiers from the last code written)' : ''}`);
+    output += parts.length > 0
+      ? `  Strongest signal, then ${parts.join(', ')}\n`
+      : '  Score is the strongest signal alone\n';
+  }
+  if (trace.boosts && !d.hasContext) {
+    output += "  Claude's recent responses weren't available, so context signals couldn't add weight\n";
+  }
+
+  return output;
+}
+
+module.exports = {
+  generateDetectionId,
+  summarizeMessage,
+  logDetection,
+  logOutcome,
+  readDetections,
+  explainDetection,
+};
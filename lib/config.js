@@ -0,0 +1,458 @@
+/**
+ * Correct Habits - Configuration
+ * Settings merged from the user config and the project config (project wins).
+ * Invalid settings are reported in `errors` and ignored, never thrown, because
+ * hooks load the config on every prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson } = require('./files');
+const { getStateDir, getUserStateDir } = require('./paths');
+const { DEFAULT_DETECTOR_CONFIG, builtinSignalKind } = require('./signals');
+const { NAME_PATTERN, PATTERN_CATEGORIES } = require('./store');
+
+/**
+ * @typedef {import('./signals').DetectorConfig} DetectorConfig
+ * @typedef {import('./signals').SignalOverride} SignalOverride
+ */
+
+/**
+ * @typedef {Object} CategoryDefinition
+ * @property {string} name - Kebab-case; may be a built-in category, to give it a description or hint
+ * @property {string} [description] - Shown under the category's heading in injected context
+ * @property {string} [hint] - Regex source; a message matching it suggests the category and counts as a correction signal
+ * @property {number} [weight] - Weight of the hint signal (default CATEGORY_HINT_WEIGHT)
+ */
+
+/**
+ * @typedef {Object} TagDefinition
+ * @property {string} name - Kebab-case
+ * @property {string} [description]
+ * @property {string} [hint] - Regex source; a correction matching it suggests the tag
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {boolean} reviewMode - Queue detected corrections for review instead of saving them directly
+ * @property {import('./lifecycle').LifecycleConfig} lifecycle - Confidence decay and archival settings
+ * @property {DetectorConfig} detector - Correction detector signals and thresholds
+ * @property {import('./render').RenderConfig} injection - Size and layout of the patterns injected at session start
+ * @property {CategoryDefinition[]} categories - Categories defined in addition to the built-in ones
+ * @property {TagDefinition[]} tags - Tags with a description or detection hint (any kebab-case tag can be used)
+ * @property {string[]} errors - Problems found in the config files; the settings concerned are ignored
+ */
+
+/** @type {Omit<Config, 'errors'>} */
+const DEFAULT_CONFIG = {
+  reviewMode: false,
+  lifecycle: {
+    decayAfterDays: 30,
+    decayFactor: 0.8,
+    archiveBelow: 0.3,
+  },
+  detector: DEFAULT_DETECTOR_CONFIG,
+  injection: {
+    maxTokens: 2000,
+    compact: false,
+    maxExampleLines: 12,
+  },
+  categories: [],
+  tags: [],
+};
+
+/** Weight of a category hint signal, as for the built-in category signals */
+const CATEGORY_HINT_WEIGHT = 0.35;
+
+/**
+ * Valid range for each lifecycle setting
+ * @type {Record<string, [number, number]>}
+ */
+const LIFECYCLE_RANGES = {
+  decayAfterDays: [0, Infinity],
+  decayFactor: [0, 1],
+  archiveBelow: [0, 1],
+};
+
+/**
+ * Valid range for each numeric injection setting
+ * @type {Record<string, [number, number]>}
+ */
+const INJECTION_RANGES = {
+  maxTokens: [100, 50000],
+  maxExampleLines: [1, 200],
+};
+
+/**
+ * Valid range for each detector threshold
+ * @type {Record<string, [number, number]>}
+ */
+const DETECTOR_RANGES = {
+  minConfidence: [0, 1],
+  minMessageLength: [0, 1000],
+  contextStalenessMinutes: [0, 24 * 60],
+  contextTurns: [1, 20],
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Problem with a regex source, if any
+ * @param {unknown} source
+ * @returns {string | null}
+ */
+function regexError(source) {
+  if (typeof source !== 'string' || !source) return 'must be a non-empty regex string';
+  try {
+    new RegExp(source, 'i');
+    return null;
+  } catch (err) {
+    return `is not a valid regex (${err.message})`;
+  }
+}
+
+/**
+ * Validate one entry of categories or tags
+ * @param {unknown} entry
+ * @param {'category' | 'tag'} kind
+ * @param {string} at - Location for error messages
+ * @param {string[]} errors - Problems are appended here
+ * @returns {CategoryDefinition | null} Null when the entry is unusable
+ */
+function validateDefinition(entry, kind, at, errors) {
+  if (!isObject(entry) || typeof entry.name !== 'string' || !NAME_PATTERN.test(entry.name)) {
+    errors.push(`${at} must be an object with a kebab-case name`);
+    return null;
+  }
+
+  const problems = [];
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    problems.push('description must be a string');
+  }
+  if (entry.hint !== undefined) {
+    const error = regexError(entry.hint);
+    if (error) problems.push(`hint ${error}`);
+  }
+  if (entry.weight !== undefined && (kind === 'tag' || typeof entry.weight !== 'number' || entry.weight < 0 || entry.weight > 1)) {
+    problems.push(kind === 'tag' ? 'weight only applies to categories' : 'weight must be a number between 0 and 1');
+  }
+
+  if (problems.length > 0) {
+    errors.push(...problems.map(problem => `${at} (${entry.name}): ${problem}`));
+    return null;
+  }
+
+  /** @type {CategoryDefinition} */
+  const definition = { name: entry.name };
+  for (const field of ['description', 'hint', 'weight']) {
+    if (entry[field] !== undefined) definition[field] = entry[field];
+  }
+  return definition;
+}
+
+/**
+ * Apply one file's categories or tags. Entries replace earlier ones with the same name.
+ * @param {CategoryDefinition[]} definitions - Modified in place
+ * @param {unknown} entries - The file's `categories` or `tags` value
+ * @param {'category' | 'tag'} kind
+ * @param {string} at - Location for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+function applyDefinitions(definitions, entries, kind, at, errors) {
+  if (!Array.isArray(entries)) {
+    errors.push(`${at} must be an array`);
+    return;
+  }
+  entries.forEach((entry, i) => {
+    const definition = validateDefinition(entry, kind, `${at}[${i}]`, errors);
+    if (definition) {
+      const index = definitions.findIndex(d => d.name === definition.name);
+      if (index === -1) {
+        definitions.push(definition);
+      } else {
+        definitions[index] = definition;
+      }
+    }
+  });
+}
+
+/**
+ * Built-in categories followed by the ones the config defines
+ * @param {Pick<Config, 'categories'>} config
+ * @returns {string[]}
+ */
+function categoryNames(config) {
+  return [...new Set([...PATTERN_CATEGORIES, ...config.categories.map(c => c.name)])];
+}
+
+/**
+ * Validate one entry of detector.signals
+ * @param {unknown} entry
+ * @param {string} at - Location for error messages
+ * @param {string[]} categories - Categories a signal can hint at
+ * @param {string[]} errors - Problems are appended here
+ * @returns {SignalOverride | null} Null when the entry is unusable
+ */
+function validateSignal(entry, at, categories, errors) {
+  if (!isObject(entry) || typeof entry.id !== 'string' || !entry.id) {
+    errors.push(`${at} must be an object with an id`);
+    return null;
+  }
+
+  const kind = builtinSignalKind(entry.id);
+  const problems = [];
+  if (kind === 'skip') {
+    problems.push('is a skip signal; only correction and context signals can be overridden (use disable to turn it off)');
+  }
+  if (entry.pattern !== undefined || !kind) {
+    const error = kind === 'context' ? 'cannot be changed for a context-aware signal' : regexError(entry.pattern);
+    if (error) problems.push(`pattern ${error}`);
+  }
+  for (const field of ['weight', 'contextWeight']) {
+    if (entry[field] === undefined) {
+      if (field === 'weight' && !kind) problems.push('weight is required for a new signal');
+      continue;
+    }
+    if (typeof entry[field] !== 'number' || entry[field] < 0 || entry[field] > 1) {
+      problems.push(`${field} must be a number between 0 and 1`);
+    }
+  }
+  if (entry.contextWeight !== undefined && kind !== 'context') {
+    problems.push('contextWeight only applies to context-aware signals');
+  }
+  if (entry.category !== undefined && (kind === 'context' || !categories.includes(entry.category))) {
+    problems.push(kind === 'context'
+      ? 'category cannot be set on a context-aware signal'
+      : `category must be one of ${categories.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    errors.push(...problems.map(problem => `${at} (${entry.id}): ${problem}`));
+    return null;
+  }
+
+  /** @type {SignalOverride} */
+  const signal = { id: entry.id };
+  for (const field of ['pattern', 'weight', 'contextWeight', 'category']) {
+    if (entry[field] !== undefined) signal[field] = entry[field];
+  }
+  return signal;
+}
+
+/**
+ * Apply one file's detector section. Signals replace earlier ones with the same
+ * id; skip signals and disabled ids accumulate across files.
+ * @param {DetectorConfig} detector - Modified in place
+ * @param {unknown} overrides - The file's `detector` value
+ * @param {string} file - For error messages
+ * @param {string[]} categories - Categories a signal can hint at
+ * @param {string[]} errors - Problems are appended here
+ */
+function applyDetectorOverrides(detector, overrides, file, categories, errors) {
+  if (!isObject(overrides)) {
+    errors.push(`${file}: detector must be an object`);
+    return;
+  }
+
+  for (const [key, [min, max]] of Object.entries(DETECTOR_RANGES)) {
+    if (overrides[key] === undefined) continue;
+    if (typeof overrides[key] === 'number' && overrides[key] >= min && overrides[key] <= max) {
+      detector[key] = overrides[key];
+    } else {
+      errors.push(`${file}: detector.${key} must be a number from ${min} to ${max}`);
+    }
+  }
+
+  if (overrides.signals !== undefined) {
+    if (Array.isArray(overrides.signals)) {
+      overrides.signals.forEach((entry, i) => {
+        const signal = validateSignal(entry, `${file}: detector.signals[${i}]`, categories, errors);
+        if (signal) {
+          detector.signals = [...detector.signals.filter(s => s.id !== signal.id), signal];
+        }
+      });
+    } else {
+      errors.push(`${file}: detector.signals must be an array`);
+    }
+  }
+
+  if (overrides.skipSignals !== undefined) {
+    if (Array.isArray(overrides.skipSignals)) {
+      overrides.skipSignals.forEach((source, i) => {
+        const error = regexError(source);
+        if (error) {
+          errors.push(`${file}: detector.skipSignals[${i}] ${error}`);
+        } else if (!detector.skipSignals.includes(source)) {
+          detector.skipSignals.push(source);
+        }
+      });
+    } else {
+      errors.push(`${file}: detector.skipSignals must be an array of regex strings`);
+    }
+  }
+
+  if (overrides.disable !== undefined) {
+    if (Array.isArray(overrides.disable)) {
+      for (const id of overrides.disable) {
+        if (typeof id !== 'string' || !builtinSignalKind(id)) {
+          errors.push(`${file}: detector.disable: "${id}" is not a built-in signal id`);
+        } else if (!detector.disable.includes(id)) {
+          detector.disable.push(id);
+        }
+      }
+    } else {
+      errors.push(`${file}: detector.disable must be an array of signal ids`);
+    }
+  }
+}
+
+/**
+ * Config files, lowest precedence first
+ * @param {string} [cwd] - Project directory
+ * @returns {string[]}
+ */
+function getConfigFiles(cwd) {
+  return [
+    path.join(getUserStateDir(), 'config.json'),
+    path.join(getStateDir(cwd), 'config.json'),
+  ];
+}
+
+/**
+ * Turn category and tag hints into detector signals. A signal configured
+ * explicitly under the same id takes precedence over a category's hint.
+ * @param {Config} config - Modified in place
+ */
+function applyHints(config) {
+  for (const category of config.categories) {
+    const id = `category-${category.name}`;
+    if (!category.hint || config.detector.signals.some(s => s.id === id)) continue;
+    config.detector.signals.push({
+      id,
+      pattern: category.hint,
+      weight: category.weight ?? CATEGORY_HINT_WEIGHT,
+      category: category.name,
+    });
+  }
+  config.detector.tagHints = config.tags
+    .filter(tag => tag.hint)
+    .map(tag => ({ tag: tag.name, pattern: tag.hint }));
+}
+
+/**
+ * Load the merged configuration. Missing files are ignored; invalid settings
+ * are listed in `errors` and left at their defaults.
+ * @param {string} [cwd] - Project directory
+ * @returns {Config}
+ */
+function loadConfig(cwd) {
+  /** @type {Config} */
+  const config = {
+    ...DEFAULT_CONFIG,
+    lifecycle: { ...DEFAULT_CONFIG.lifecycle },
+    injection: { ...DEFAULT_CONFIG.injection },
+    detector: {
+      ...DEFAULT_DETECTOR_CONFIG,
+      signals: [],
+      skipSignals: [],
+      disable: [],
+      tagHints: [],
+    },
+    categories: [],
+    tags: [],
+    errors: [],
+  };
+
+  /** @type {{ file: string, overrides: Record<string, any> }[]} */
+  const files = [];
+  for (const file of getConfigFiles(cwd)) {
+    const overrides = readJson(file, undefined);
+    if (overrides === undefined) {
+      if (fs.existsSync(file)) {
+        config.errors.push(`${file}: not valid JSON`);
+      }
+      continue;
+    }
+    if (!isObject(overrides)) {
+      config.errors.push(`${file}: must contain a JSON object`);
+      continue;
+    }
+    files.push({ file, overrides });
+  }
+
+  // Categories come first, so a signal in either file can hint at a category defined in the other
+  for (const { file, overrides } of files) {
+    if (overrides.categories !== undefined) {
+      applyDefinitions(config.categories, overrides.categories, 'category', `${file}: categories`, config.errors);
+    }
+    if (overrides.tags !== undefined) {
+      applyDefinitions(config.tags, overrides.tags, 'tag', `${file}: tags`, config.errors);
+    }
+  }
+  const categories = categoryNames(config);
+
+  for (const { file, overrides } of files) {
+    if (overrides.reviewMode !== undefined) {
+      if (typeof overrides.reviewMode === 'boolean') {
+        config.reviewMode = overrides.reviewMode;
+      } else {
+        config.errors.push(`${file}: reviewMode must be true or false`);
+      }
+    }
+
+    const lifecycle = overrides.lifecycle;
+    if (isObject(lifecycle)) {
+      for (const [key, [min, max]] of Object.entries(LIFECYCLE_RANGES)) {
+        if (lifecycle[key] === undefined) continue;
+        if (typeof lifecycle[key] === 'number' && lifecycle[key] >= min && lifecycle[key] <= max) {
+          config.lifecycle[key] = lifecycle[key];
+        } else {
+          config.errors.push(`${file}: lifecycle.${key} must be a number from ${min} to ${max}`);
+        }
+      }
+    } else if (lifecycle !== undefined) {
+      config.errors.push(`${file}: lifecycle must be an object`);
+    }
+
+    const injection = overrides.injection;
+    if (isObject(injection)) {
+      for (const [key, [min, max]] of Object.entries(INJECTION_RANGES)) {
+        if (injection[key] === undefined) continue;
+        if (Number.isInteger(injection[key]) && injection[key] >= min && injection[key] <= max) {
+          config.injection[key] = injection[key];
+        } else {
+          config.errors.push(`${file}: injection.${key} must be a whole number from ${min} to ${max}`);
+        }
+      }
+      if (injection.compact !== undefined) {
+        if (typeof injection.compact === 'boolean') {
+          config.injection.compact = injection.compact;
+        } else {
+          config.errors.push(`${file}: injection.compact must be true or false`);
+        }
+      }
+    } else if (injection !== undefined) {
+      config.errors.push(`${file}: injection must be an object`);
+    }
+
+    if (overrides.detector !== undefined) {
+      applyDetectorOverrides(config.detector, overrides.detector, file, categories, config.errors);
+    }
+  }
+
+  applyHints(config);
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfigFiles,
+  categoryNames,
+  loadConfig,
+};
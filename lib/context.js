@@ -0,0 +1,110 @@
+/**
+ * Correct Habits - Session Context
+ * Claude's recent responses, kept per session so concurrent sessions in the same
+ * project don't overwrite each other's context
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./files');
+const { getLastResponseFile, getSessionContextFile, getSessionsDir } = require('./paths');
+const { mergeTurns } = require('./transcript');
+
+/**
+ * @typedef {import('./transcript').LastResponse} LastResponse
+ */
+
+/**
+ * @typedef {Object} SessionContext
+ * @property {string} sessionId
+ * @property {LastResponse[]} turns - Most recent responses, oldest first
+ */
+
+/** Session files untouched for this long are removed at session start */
+const SESSION_RETENTION_MS = 24 * 60 * 60 * 1000; // 24 hours, the longest staleness allowed
+
+/**
+ * Load a session's recent responses
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {LastResponse[]} Oldest first
+ */
+function loadSessionTurns(sessionId, cwd) {
+  /** @type {SessionContext | null} */
+  const context = readJson(getSessionContextFile(sessionId, cwd), null);
+  return context && context.sessionId === sessionId && Array.isArray(context.turns) ? context.turns : [];
+}
+
+/**
+ * Add a response to its session, keeping only the most recent ones. Only the
+ * session's own Stop hook writes its file, so no lock is needed.
+ * @param {LastResponse} turn
+ * @param {number} maxTurns - Responses to keep
+ * @param {string} [cwd]
+ */
+function recordTurn(turn, maxTurns, cwd) {
+  const turns = loadSessionTurns(turn.sessionId, cwd);
+  const previous = turns[turns.length - 1];
+
+  // The Stop hook can fire again for a turn it already captured
+  if (previous && previous.response === turn.response && previous.codeWritten === turn.codeWritten) {
+    turns[turns.length - 1] = turn;
+  } else {
+    turns.push(turn);
+  }
+
+  /** @type {SessionContext} */
+  const context = { sessionId: turn.sessionId, turns: turns.slice(-maxTurns) };
+  writeJsonAtomic(getSessionContextFile(turn.sessionId, cwd), context);
+}
+
+/**
+ * Context for the message the user just sent: the session's recent responses
+ * merged, or null when there are none or the latest is too old to be what the
+ * user is replying to
+ * @param {string} sessionId
+ * @param {number} stalenessMs
+ * @param {string} [cwd]
+ * @returns {LastResponse | null}
+ */
+function loadSessionContext(sessionId, stalenessMs, cwd) {
+  const turns = loadSessionTurns(sessionId, cwd);
+  const latest = turns[turns.length - 1];
+  if (!latest || !(Date.now() - new Date(latest.timestamp).getTime() <= stalenessMs)) {
+    return null;
+  }
+  return mergeTurns(turns);
+}
+
+/**
+ * Remove context files of sessions that ended long ago, and the single shared
+ * file earlier versions wrote
+ * @param {string} [cwd]
+ */
+function pruneSessionContexts(cwd) {
+  fs.rmSync(getLastResponseFile(cwd), { force: true });
+
+  const dir = getSessionsDir(cwd);
+  if (!fs.existsSync(dir)) return;
+
+  const now = Date.now();
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json')) continue;
+    const file = path.join(dir, name);
+    try {
+      if (now - fs.statSync(file).mtimeMs > SESSION_RETENTION_MS) {
+        fs.unlinkSync(file);
+      }
+    } catch {
+      // Removed by another session meanwhile
+    }
+  }
+}
+
+module.exports = {
+  SESSION_RETENTION_MS,
+  loadSessionTurns,
+  recordTurn,
+  loadSessionContext,
+  pruneSessionContexts,
+};
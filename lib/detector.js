@@ -0,0 +1,352 @@
+/**
+ * Correct Habits - Correction Detector
+ * Scores a user message as a correction from weighted signals, using Claude's
+ * recent responses as context when there are any
+ */
+
+const { buildDetector } = require('./signals');
+
+/**
+ * @typedef {import('./store').PatternCategory} PatternCategory
+ * @typedef {import('./audit').DetectionTrace} DetectionTrace
+ * @typedef {import('./signals').ContextAwareSignal} ContextAwareSignal
+ * @typedef {import('./signals').Detector} Detector
+ * @typedef {import('./transcript').LastResponse} LastResponse
+ */
+
+/**
+ * @typedef {Object} DetectionResult
+ * @property {boolean} isCorrection
+ * @property {number} confidence - 0-1 score
+ * @property {PatternCategory[]} categoryHints
+ * @property {string[]} tagHints - Tags whose config hint matched the message
+ * @property {boolean} skipLearning - User explicitly doesn't want this learned
+ * @property {string} [badExample] - What Claude did wrong (from context)
+ * @property {boolean} hasContext - Whether context was available
+ * @property {DetectionTrace} trace - Why the message scored what it did, for the audit log
+ */
+
+/**
+ * Apply context-aware signal detection
+ * @param {string} message - User's message
+ * @param {LastResponse} lastResponse - Claude's last response
+ * @param {ContextAwareSignal[]} signals
+ * @returns {{ id: string, pattern: RegExp, match: string, weight: number, contextWeight: number, validated: boolean }[]} - Matched signals
+ */
+function matchContextAwareSignals(message, lastResponse, signals) {
+  const matches = [];
+
+  for (const signal of signals) {
+    const match = message.match(signal.userPattern);
+    if (match) {
+      let validated = true;
+
+      // If signal has a responseCheck, validate against context
+      if (signal.responseCheck) {
+        validated = signal.responseCheck(match, lastResponse);
+      }
+
+      matches.push({
+        id: signal.id,
+        pattern: signal.userPattern,
+        match: match[0],
+        weight: signal.weight,
+        contextWeight: signal.contextWeight,
+        validated,
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Check if user references identifiers from Claude's code
+ * @param {string} message - User's message
+ * @param {LastResponse} lastResponse - Claude's last response
+ * @returns {number} - Boost multiplier (1.0-1.2)
+ */
+function getIdentifierReferenceBoost(message, lastResponse) {
+  if (!lastResponse.codeWritten) return 1.0;
+
+  // Extract identifiers from Claude's code (function names, variable names, etc.)
+  const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]{2,})\b/g;
+  const codeIdentifiers = new Set();
+  let match;
+
+  while ((match = identifierPattern.exec(lastResponse.codeWritten)) !== null) {
+    // Skip common keywords
+    const keywords = ['const', 'let', 'var', 'function', 'return', 'import', 'export', 'from', 'class', 'this', 'new', 'true', 'false', 'null', 'undefined'];
+    if (!keywords.includes(match[1].toLowerCase())) {
+      codeIdentifiers.add(match[1]);
+    }
+  }
+
+  // Check if user mentions any of these identifiers
+  const userIdentifiers = message.match(/[`'"]([\w\-_.]+)[`'"]/g) || [];
+  for (const userIdent of userIdentifiers) {
+    const cleaned = userIdent.replace(/[`'"]/g, '');
+    if (codeIdentifiers.has(cleaned)) {
+      return 1.15; // Boost if user references Claude's code
+    }
+  }
+
+  return 1.0;
+}
+
+/**
+ * A command as a one-line example
+ * @param {string} command
+ * @returns {string}
+ */
+function commandExample(command) {
+  return command.split('\n')[0].trim().slice(0, 200);
+}
+
+/**
+ * The latest command Claude ran that contains a term, so the bad example is the
+ * exact command the user objected to rather than just the word they used
+ * @param {string} term
+ * @param {LastResponse} lastResponse
+ * @returns {string | undefined}
+ */
+function findCommand(term, lastResponse) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, 'i');
+  const command = [...(lastResponse.commandsRun || [])].reverse().find(c => pattern.test(c));
+  return command && commandExample(command);
+}
+
+/**
+ * Extract what Claude did wrong from context
+ * @param {string} message - User's message
+ * @param {LastResponse} lastResponse - Claude's last response
+ * @returns {string | undefined} - Bad example or undefined
+ */
+function extractBadExample(message, lastResponse) {
+  /** @param {string} term */
+  const pointAt = term => findCommand(term, lastResponse) || term;
+
+  // Pattern: "use X instead of Y" - Y is the bad example
+  let match = message.match(/\buse\s+[`'"]([\w\-_.]+)[`'"]\s+instead\s+of\s+[`'"]([\w\-_.]+)[`'"]/i);
+  if (match) {
+    return pointAt(match[2]); // Return what to avoid
+  }
+
+  // Pattern: "instead of X" - X is the bad example
+  match = message.match(/\binstead\s+of\s+[`'"]([\w\-_.]+)[`'"]/i);
+  if (match) {
+    return pointAt(match[1]);
+  }
+
+  // Pattern: "don't use X" - X is the bad example
+  match = message.match(/\bdon'?t\s+use\s+[`'"]([\w\-_.]+)[`'"]/i);
+  if (match) {
+    return pointAt(match[1]);
+  }
+
+  // Pattern: "change X to Y" - X is the bad example
+  match = message.match(/\bchange\s+[`'"]([\w\-_.]+)[`'"]\s+to/i);
+  if (match) {
+    return pointAt(match[1]);
+  }
+
+  // Pattern: "use X, not Y" - Y is the bad example
+  match = message.match(/\b(?:use|run)\s+[`'"]?([\w\-.]+)[`'"]?,?\s+not\s+[`'"]?([\w\-.]+)/i);
+  if (match) {
+    return pointAt(match[2]);
+  }
+
+  // Pattern: "never run `X`" - X is the bad example (quoted commands may have spaces)
+  match = message.match(/\b(?:never|don'?t|do\s+not)\s+(?:run\s+)?`([^`]+)`/i);
+  if (match) {
+    return pointAt(match[1]);
+  }
+
+  // Pattern: "run tests with `X`" - the bad example is the command Claude ran for it instead
+  match = message.match(/\b(?:run|use)\s+(?:[\w-]+\s+){0,3}?(?:with|using|via)\s+`([^`]+)`/i);
+  if (match) {
+    const wanted = match[1];
+    const words = new Set(message.toLowerCase().match(/[a-z]{3,}/g));
+    const command = [...(lastResponse.commandsRun || [])].reverse()
+      .find(c => !c.includes(wanted) && (c.toLowerCase().match(/[a-z]{3,}/g) || []).some(w => words.has(w)));
+    if (command) {
+      return commandExample(command);
+    }
+  }
+
+  // If user says "that's wrong" and Claude used a specific tool, mention it
+  if (/\bthat'?s\s+(wrong|incorrect|not\s+right)/i.test(message)) {
+    if (lastResponse.toolsUsed.includes('Edit') || lastResponse.toolsUsed.includes('Write')) {
+      // Try to find a specific pattern in the code
+      const codeSnippet = lastResponse.codeWritten.slice(0, 100);
+      if (codeSnippet) {
+        return codeSnippet.split('\n')[0]; // First line of code
+      }
+    }
+    // Otherwise the command it ran last
+    const commands = lastResponse.commandsRun || [];
+    if (commands.length > 0) {
+      return commandExample(commands[commands.length - 1]);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Boost confidence if message contains code (corrections with code are more pattern-like)
+ * @param {string} message
+ * @returns {number} Multiplier (1.0-1.3)
+ */
+function getCodeBoost(message) {
+  const hasCodeBlock = /```[\s\S]*```/.test(message);
+  const hasInlineCode = /`[^`]+`/.test(message);
+  const hasCodeIndicators = /[{};=>\[\]().]/.test(message) && message.length > 30;
+
+  if (hasCodeBlock) return 1.3;
+  if (hasInlineCode) return 1.15;
+  if (hasCodeIndicators) return 1.05;
+  return 1.0;
+}
+
+/**
+ * Analyze message to detect if it's a correction worth learning from
+ * @param {string} message
+ * @param {LastResponse | null} lastResponse - Optional context from Claude's recent responses (see mergeTurns)
+ * @param {Detector} [detector] - Signals and thresholds (built-ins when omitted)
+ * @returns {DetectionResult}
+ */
+function analyzeMessage(message, lastResponse = null, detector = buildDetector()) {
+  const result = {
+    isCorrection: false,
+    confidence: 0,
+    categoryHints: /** @type {PatternCategory[]} */ ([]),
+    tagHints: /** @type {string[]} */ ([]),
+    skipLearning: false,
+    badExample: undefined,
+    hasContext: lastResponse !== null,
+    trace: /** @type {DetectionTrace} */ ({ signals: [] }),
+  };
+
+  // Quick exit for very short messages
+  if (message.length < detector.minMessageLength) {
+    result.trace.ignoredReason = `shorter than ${detector.minMessageLength} characters`;
+    return result;
+  }
+
+  // Check if user explicitly doesn't want this learned
+  for (const signal of detector.skipSignals) {
+    const skip = message.match(signal.pattern);
+    if (skip) {
+      result.skipLearning = true;
+      result.trace.skipReason = skip[0];
+      result.trace.skipSignal = signal.id;
+      return result;
+    }
+  }
+
+  // Calculate weighted confidence score from basic signals
+  let totalWeight = 0;
+  let maxWeight = 0;
+  const hints = new Set();
+
+  for (const signal of detector.correctionSignals) {
+    const match = message.match(signal.pattern);
+    if (match) {
+      result.trace.signals.push({
+        id: signal.id,
+        kind: 'correction',
+        pattern: signal.pattern.source,
+        match: match[0],
+        weight: signal.weight,
+        ...(signal.categoryHint && { categoryHint: signal.categoryHint }),
+      });
+      totalWeight += signal.weight;
+      maxWeight = Math.max(maxWeight, signal.weight);
+      if (signal.categoryHint) {
+        hints.add(signal.categoryHint);
+      }
+    }
+  }
+
+  // Apply context-aware signals if we have context
+  let contextBoost = 0;
+  let identifierReference = false;
+  if (lastResponse) {
+    const contextMatches = matchContextAwareSignals(message, lastResponse, detector.contextAwareSignals);
+
+    for (const match of contextMatches) {
+      result.trace.signals.push({
+        id: match.id,
+        kind: 'context',
+        pattern: match.pattern.source,
+        match: match.match,
+        weight: match.validated ? match.contextWeight : match.weight,
+        baseWeight: match.weight,
+        validated: match.validated,
+      });
+      if (match.validated) {
+        // Use contextWeight when validation passes
+        const effectiveWeight = match.contextWeight;
+        totalWeight += effectiveWeight;
+        maxWeight = Math.max(maxWeight, effectiveWeight);
+        contextBoost += (match.contextWeight - match.weight);
+      } else {
+        // Use base weight when validation fails
+        totalWeight += match.weight;
+        maxWeight = Math.max(maxWeight, match.weight);
+      }
+    }
+
+    // Additional boost if user references identifiers from Claude's code
+    const identifierBoost = getIdentifierReferenceBoost(message, lastResponse);
+    if (identifierBoost > 1.0) {
+      contextBoost += 0.1;
+      identifierReference = true;
+    }
+
+    // Extract bad example from context
+    result.badExample = extractBadExample(message, lastResponse);
+  }
+
+  // Use max weight as base, add bonus for multiple signals (capped)
+  const multiSignalBonus = Math.min((totalWeight - maxWeight) * 0.3, 0.2);
+  const codeMultiplier = getCodeBoost(message);
+  let confidence = maxWeight + multiSignalBonus;
+  confidence *= codeMultiplier;
+
+  // Apply context boost (capped)
+  confidence += Math.min(contextBoost, 0.25);
+  confidence = Math.min(confidence, 1.0);
+
+  result.trace.boosts = {
+    multiSignalBonus,
+    codeMultiplier,
+    contextBoost: Math.min(contextBoost, 0.25),
+    identifierReference,
+  };
+
+  result.confidence = confidence;
+  result.isCorrection = confidence >= detector.minConfidence;
+  result.categoryHints = /** @type {PatternCategory[]} */ ([...hints]);
+  result.tagHints = detector.tagSignals.filter(s => s.pattern.test(message)).map(s => s.tag);
+
+  return result;
+}
+
+/**
+ * Label shown to Claude for a detection's confidence
+ * @param {number} confidence
+ * @returns {'HIGH' | 'MEDIUM' | 'LOW'}
+ */
+function confidenceLabel(confidence) {
+  return confidence >= 0.8 ? 'HIGH' : confidence >= 0.6 ? 'MEDIUM' : 'LOW';
+}
+
+module.exports = {
+  analyzeMessage,
+  confidenceLabel,
+  extractBadExample,
+  getCodeBoost,
+};
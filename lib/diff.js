@@ -0,0 +1,96 @@
+/**
+ * Correct Habits - Line Diff
+ * A small line diff for finding the changes a user made to code Claude wrote
+ */
+
+/**
+ * @typedef {Object} Hunk
+ * @property {number} line - 1-based line in the old text where the change starts
+ * @property {string[]} removed - Old lines replaced or deleted
+ * @property {string[]} added - New lines in their place
+ */
+
+/** Largest old x new line product diffed line by line; anything bigger is one hunk */
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Changed regions between two texts. Common leading and trailing lines are
+ * stripped first, so typical small edits only diff a few lines.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Hunk[]}
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+  if (oldLines.length === 0 && newLines.length === 0) return [];
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [{ line: start + 1, removed: oldLines, added: newLines }];
+  }
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const n = oldLines.length;
+  const m = newLines.length;
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = oldLines[i] === newLines[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  /** @type {Hunk[]} */
+  const hunks = [];
+  /** @type {Hunk | null} */
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && oldLines[i] === newLines[j]) {
+      hunk = null;
+      i++;
+      j++;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { line: start + i + 1, removed: [], added: [] };
+      hunks.push(hunk);
+    }
+    if (j >= m || (i < n && lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      hunk.removed.push(oldLines[i++]);
+    } else {
+      hunk.added.push(newLines[j++]);
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Lines with their common indentation removed
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent)).join('\n').trim();
+}
+
+module.exports = {
+  diffLines,
+  dedent,
+};
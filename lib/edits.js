@@ -0,0 +1,237 @@
+/**
+ * Correct Habits - Manual Edits
+ * Snapshots the files Claude writes, so that when the user quietly fixes that
+ * code before their next message, the change can be proposed as a correction
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dedent, diffLines } = require('./diff');
+const { readJson, writeJsonAtomic } = require('./files');
+const { getSessionSnapshotFile } = require('./paths');
+const { getToolFile, getToolWrites } = require('./tools');
+const { turnContent } = require('./transcript');
+
+/**
+ * @typedef {import('./detector').DetectionResult} DetectionResult
+ * @typedef {import('./transcript').TranscriptMessage} TranscriptMessage
+ */
+
+/**
+ * @typedef {Object} FileSnapshot
+ * @property {string} hash - Content hash, to skip unchanged files without diffing
+ * @property {string} content - The file as Claude left it
+ * @property {[number, number][]} ranges - 1-based first and last lines of the
+ *   code Claude wrote in it; only edits there are proposed
+ */
+
+/**
+ * @typedef {Object} SessionSnapshot
+ * @property {string} sessionId
+ * @property {string} takenAt - ISO timestamp
+ * @property {Record<string, FileSnapshot>} files - By absolute path
+ */
+
+/**
+ * @typedef {Object} EditCorrection
+ * @property {string} file - Absolute path
+ * @property {number} line - Line in Claude's version where the change starts
+ * @property {string} bad - What Claude wrote
+ * @property {string} good - What the user changed it to
+ * @property {DetectionResult} detection - For the audit log and instruction
+ */
+
+/**
+ * Confidence given to a manual edit. It's weaker evidence than a typed
+ * correction, and below 0.6 so it's always queued for review.
+ */
+const EDIT_CONFIDENCE = 0.5;
+
+const MAX_SNAPSHOT_FILES = 20;
+const MAX_SNAPSHOT_BYTES = 256 * 1024;
+
+/** A file with more changed lines than this was rewritten, not corrected */
+const MAX_CHANGED_LINES = 40;
+
+/** Largest change on either side that still makes a usable example */
+const MAX_HUNK_LINES = 8;
+
+/** Edits proposed per prompt */
+const MAX_EDIT_CORRECTIONS = 3;
+
+/**
+ * @param {string} content
+ * @returns {string}
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Code a turn's Edit, MultiEdit and Write calls wrote, by file
+ * @param {TranscriptMessage[]} assistantMessages
+ * @returns {Record<string, string[]>} Written pieces by absolute path
+ */
+function writtenCode(assistantMessages) {
+  /** @type {Record<string, string[]>} */
+  const written = {};
+  for (const block of turnContent(assistantMessages)) {
+    if (block.type !== 'tool_use') continue;
+    const file = getToolFile(block.input);
+    const pieces = getToolWrites(block.name, block.input);
+    if (!file || pieces.length === 0) continue;
+    const key = path.resolve(file);
+    written[key] = [...(written[key] || []), ...pieces];
+  }
+  return written;
+}
+
+/**
+ * Lines of a file that hold the written pieces. A piece changed again by a
+ * later edit in the same turn isn't found, and the edit that changed it is.
+ * @param {string} content
+ * @param {string[]} pieces
+ * @returns {[number, number][]}
+ */
+function writtenRanges(content, pieces) {
+  /** @type {[number, number][]} */
+  const ranges = [];
+  for (const piece of pieces) {
+    const lines = piece.replace(/\n$/, '').split('\n').length;
+    for (let at = content.indexOf(piece); at !== -1; at = content.indexOf(piece, at + 1)) {
+      const first = content.slice(0, at).split('\n').length;
+      ranges.push([first, first + lines - 1]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Snapshot the files Claude just wrote, with where in each file it wrote,
+ * replacing the session's previous snapshot. Large and unreadable files are
+ * left out.
+ * @param {string} sessionId
+ * @param {Record<string, string[]>} written - From writtenCode
+ * @param {string} [cwd]
+ */
+function snapshotFiles(sessionId, written, cwd) {
+  const snapshotFile = getSessionSnapshotFile(sessionId, cwd);
+
+  /** @type {SessionSnapshot} */
+  const snapshot = { sessionId, takenAt: new Date().toISOString(), files: {} };
+  for (const [file, pieces] of Object.entries(written).slice(0, MAX_SNAPSHOT_FILES)) {
+    try {
+      if (fs.statSync(file).size > MAX_SNAPSHOT_BYTES) continue;
+      const content = fs.readFileSync(file, 'utf8');
+      const ranges = writtenRanges(content, pieces);
+      if (ranges.length > 0) {
+        snapshot.files[file] = { hash: hashContent(content), content, ranges };
+      }
+    } catch {
+      // Deleted or unreadable since it was written
+    }
+  }
+
+  if (Object.keys(snapshot.files).length === 0) {
+    fs.rmSync(snapshotFile, { force: true });
+    return;
+  }
+  writeJsonAtomic(snapshotFile, snapshot);
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function withoutWhitespace(lines) {
+  return lines.join('').replace(/\s+/g, '');
+}
+
+/**
+ * A detection result for an edit, so it's logged and explained like a typed correction
+ * @param {string} file
+ * @param {string} bad
+ * @returns {DetectionResult}
+ */
+function editDetection(file, bad) {
+  return {
+    isCorrection: true,
+    confidence: EDIT_CONFIDENCE,
+    categoryHints: [],
+    tagHints: [],
+    skipLearning: false,
+    badExample: bad,
+    hasContext: true,
+    trace: {
+      signals: [{ id: 'manual-edit', kind: 'edit', pattern: file, match: bad.split('\n')[0], weight: EDIT_CONFIDENCE }],
+    },
+  };
+}
+
+/**
+ * Changes in a file that look like corrections: small replacements of code
+ * Claude wrote that change more than whitespace. Edits elsewhere in the file
+ * aren't about Claude's code, pure additions and deletions have no example
+ * pair, and code changed wholesale says nothing about any one line.
+ * @param {string} file
+ * @param {string} before - As Claude left it
+ * @param {string} after - As it is now
+ * @param {[number, number][]} ranges - Lines of `before` Claude wrote
+ * @returns {EditCorrection[]}
+ */
+function correctionsFromDiff(file, before, after, ranges) {
+  const hunks = diffLines(before, after)
+    .filter(h => ranges.some(([first, last]) => h.line >= first && h.line + h.removed.length - 1 <= last));
+  const changed = hunks.reduce((sum, h) => sum + h.removed.length + h.added.length, 0);
+  if (changed > MAX_CHANGED_LINES) return [];
+
+  return hunks
+    .filter(h => h.removed.length > 0 && h.added.length > 0)
+    .filter(h => h.removed.length <= MAX_HUNK_LINES && h.added.length <= MAX_HUNK_LINES)
+    .filter(h => withoutWhitespace(h.removed) !== withoutWhitespace(h.added))
+    .map(h => {
+      const bad = dedent(h.removed);
+      const good = dedent(h.added);
+      return { file, line: h.line, bad, good, detection: editDetection(file, bad) };
+    });
+}
+
+/**
+ * Compare the session's snapshot with the files as they are now. The snapshot
+ * is used up, so each edit is only proposed once.
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {EditCorrection[]}
+ */
+function takeEditCorrections(sessionId, cwd) {
+  const snapshotFile = getSessionSnapshotFile(sessionId, cwd);
+  /** @type {SessionSnapshot | null} */
+  const snapshot = readJson(snapshotFile, null);
+  fs.rmSync(snapshotFile, { force: true });
+  if (!snapshot || snapshot.sessionId !== sessionId || !snapshot.files) return [];
+
+  /** @type {EditCorrection[]} */
+  const corrections = [];
+  for (const [file, { hash, content, ranges = [] }] of Object.entries(snapshot.files)) {
+    let current;
+    try {
+      current = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue; // Deleting a file isn't a correction we can learn from
+    }
+    if (hashContent(current) !== hash) {
+      corrections.push(...correctionsFromDiff(file, content, current, ranges));
+    }
+  }
+
+  return corrections.slice(0, MAX_EDIT_CORRECTIONS);
+}
+
+module.exports = {
+  EDIT_CONFIDENCE,
+  writtenCode,
+  snapshotFiles,
+  correctionsFromDiff,
+  takeEditCorrections,
+};
@@ -0,0 +1,256 @@
+/**
+ * Correct Habits - Exporters
+ * Render stored patterns in formats meant for other tools and files
+ */
+
+const { formatAppliesTo } = require('./applies-to');
+const { collectStyleSettings, eslintRulesFor } = require('./tool-rules');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./tool-rules').StyleSettings} StyleSettings
+ */
+
+/**
+ * Markers around the section of CLAUDE.md (or .editorconfig) that export owns.
+ * Everything outside them is left as the user wrote it.
+ */
+const MANAGED_START = 'correct-habits:start';
+const MANAGED_END = 'correct-habits:end';
+
+/** Export formats understood by the CLI */
+const EXPORT_FORMATS = ['markdown', 'json', 'claude-md', 'eslint', 'editorconfig', 'prettier'];
+
+/**
+ * Group patterns by category, preserving order within each group
+ * @param {Pattern[]} patterns
+ * @returns {Record<string, Pattern[]>}
+ */
+function groupByCategory(patterns) {
+  return patterns.reduce((acc, p) => {
+    const cat = p.category || 'other';
+    if (!acc[cat]) acc[cat] = [];
+    acc[cat].push(p);
+    return acc;
+  }, /** @type {Record<string, Pattern[]>} */ ({}));
+}
+
+/**
+ * Render patterns as markdown suitable for CLAUDE.md
+ * @param {Pattern[]} patterns
+ * @param {number} [level] - Heading level of the title, so the output can nest in another document
+ * @returns {string}
+ */
+function toMarkdown(patterns, level = 1) {
+  const heading = depth => '#'.repeat(level + depth);
+  let output = `${heading(0)} Coding Patterns & Preferences\n\n`;
+
+  if (patterns.length === 0) {
+    return output + '_No patterns learned yet._\n';
+  }
+
+  for (const [category, categoryPatterns] of Object.entries(groupByCategory(patterns))) {
+    output += `${heading(1)} ${category.charAt(0).toUpperCase() + category.slice(1)}\n\n`;
+
+    for (const p of categoryPatterns) {
+      output += `${heading(2)} ${p.name}\n\n${p.description}\n\n`;
+
+      if (p.appliesTo) {
+        output += `Only applies to ${formatAppliesTo(p.appliesTo)}.\n\n`;
+      }
+
+      if (p.bad_example) {
+        output += `Don't:\n\n\`\`\`\n${p.bad_example}\n\`\`\`\n\n`;
+      }
+      if (p.good_example) {
+        output += `Do:\n\n\`\`\`\n${p.good_example}\n\`\`\`\n\n`;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render patterns as a standalone JSON bundle
+ * @param {Pattern[]} patterns
+ * @returns {string}
+ */
+function toJson(patterns) {
+  return JSON.stringify({ patterns, exportedAt: new Date().toISOString() }, null, 2) + '\n';
+}
+
+/**
+ * Replace the managed section of a file's content, or append one if there is none
+ * @param {string} existing - Current file content ('' for a new file)
+ * @param {string} section - New section body
+ * @param {function(string): string} comment - Wraps a marker in the file's comment syntax
+ * @returns {string}
+ */
+function replaceManagedSection(existing, section, comment) {
+  const block = `${comment(MANAGED_START)}\n${section.trimEnd()}\n${comment(MANAGED_END)}\n`;
+  const start = existing.indexOf(comment(MANAGED_START));
+  const end = existing.indexOf(comment(MANAGED_END));
+
+  if (start !== -1 && end > start) {
+    const after = existing.slice(end + comment(MANAGED_END).length).replace(/^\n/, '');
+    return existing.slice(0, start) + block + after;
+  }
+  if (!existing.trim()) {
+    return block;
+  }
+  return `${existing.trimEnd()}\n\n${block}`;
+}
+
+/**
+ * Update CLAUDE.md content with a managed section listing the patterns. Running it
+ * again with the same patterns gives the same content.
+ * @param {Pattern[]} patterns
+ * @param {string} [existing] - Current CLAUDE.md content
+ * @returns {string}
+ */
+function toClaudeMd(patterns, existing = '') {
+  const section = '_Generated by correct-habits from learned patterns. ' +
+    'Edits inside this section are overwritten; run `/patterns export` to refresh it._\n\n' +
+    toMarkdown(patterns, 2);
+  return replaceManagedSection(existing, section, marker => `<!-- ${marker} -->`);
+}
+
+/**
+ * ESLint `files`/`ignores` for a pattern's include/exclude globs. Our globs without
+ * a slash match at any depth; ESLint's don't, so they get a leading "**" directory.
+ * @param {string[] | undefined} globs
+ * @returns {string[] | undefined}
+ */
+function toEslintGlobs(globs) {
+  if (!globs || globs.length === 0) return undefined;
+  return globs.map(glob => (glob.includes('/') ? glob.replace(/^\.\//, '') : `**/${glob}`));
+}
+
+/**
+ * Build an ESLint flat-config fragment: core rules for patterns that match one,
+ * and no-restricted-syntax for patterns with an AST selector. Patterns limited to
+ * certain files get their own config object.
+ * @param {Pattern[]} patterns
+ * @returns {{ config: Object[], mapped: Pattern[], unmapped: Pattern[] }}
+ */
+function buildEslintConfig(patterns) {
+  /** @type {Map<string, { files?: string[], ignores?: string[], rules: Record<string, any> }>} */
+  const groups = new Map();
+  const mapped = [];
+  const unmapped = [];
+
+  for (const pattern of patterns) {
+    const coreRules = eslintRulesFor(pattern);
+    const selector = pattern.rule?.selector;
+    if (coreRules.length === 0 && !selector) {
+      unmapped.push(pattern);
+      continue;
+    }
+    mapped.push(pattern);
+
+    // appliesTo paths stand in for include; packages and languages have no ESLint equivalent
+    const files = toEslintGlobs(pattern.rule?.include || pattern.appliesTo?.paths);
+    const ignores = toEslintGlobs(pattern.rule?.exclude);
+    const key = JSON.stringify([files, ignores]);
+    if (!groups.has(key)) {
+      groups.set(key, { ...(files && { files }), ...(ignores && { ignores }), rules: {} });
+    }
+    const { rules } = groups.get(key);
+    const severity = pattern.enforcement === 'block' ? 'error' : 'warn';
+
+    for (const { rule, options = [] } of coreRules) {
+      rules[rule] = options.length > 0 ? [severity, ...options] : severity;
+    }
+    if (selector) {
+      const restricted = rules['no-restricted-syntax'] || [severity];
+      // One severity covers every selector, so a single "block" makes them all errors
+      if (severity === 'error') restricted[0] = 'error';
+      restricted.push({ selector, message: `${pattern.name}: ${pattern.description}` });
+      rules['no-restricted-syntax'] = restricted;
+    }
+  }
+
+  return { config: [...groups.values()], mapped, unmapped };
+}
+
+/**
+ * Render an ESLint flat-config fragment as a CommonJS module, which both CommonJS
+ * and ESM eslint.config files can load
+ * @param {Pattern[]} patterns
+ * @returns {string}
+ */
+function toEslintConfig(patterns) {
+  const { config, unmapped } = buildEslintConfig(patterns);
+
+  let output = `// Generated by correct-habits from learned patterns. Spread it into eslint.config.js:
+//   const correctHabits = require('./correct-habits.eslint.cjs');
+//   module.exports = [...correctHabits, /* your config */];
+// Patterns set to "block" are errors, the rest warnings (fail CI on them with --max-warnings 0).
+`;
+  if (unmapped.length > 0) {
+    output += `// Not expressible as ESLint rules: ${unmapped.map(p => p.name).join(', ')}\n`;
+  }
+  return `${output}module.exports = ${JSON.stringify(config, null, 2)};\n`;
+}
+
+/**
+ * Render formatter settings as an .editorconfig section, inside managed markers
+ * so it can be merged into an existing .editorconfig
+ * @param {Pattern[]} patterns
+ * @param {string} [existing] - Current .editorconfig content
+ * @returns {string} '' when no pattern maps to an EditorConfig setting
+ */
+function toEditorConfig(patterns, existing = '') {
+  const { settings, sources } = collectStyleSettings(patterns);
+  const lines = [];
+
+  if (settings.indentStyle) lines.push(`indent_style = ${settings.indentStyle}`);
+  if (settings.indentSize) lines.push(`indent_size = ${settings.indentSize}`);
+  if (settings.maxLineLength) lines.push(`max_line_length = ${settings.maxLineLength}`);
+  if (settings.endOfLine) lines.push(`end_of_line = ${settings.endOfLine}`);
+  if (settings.finalNewline !== undefined) lines.push(`insert_final_newline = ${settings.finalNewline}`);
+  if (lines.length === 0) return '';
+
+  const section = [`# From learned patterns: ${sources.map(p => p.name).join(', ')}`, '[*]', ...lines];
+  // A fresh file should be the root, or editors keep looking in parent directories
+  const base = existing.trim() ? existing : 'root = true\n';
+  return replaceManagedSection(base, section.join('\n'), marker => `# ${marker}`);
+}
+
+/**
+ * Render formatter settings as Prettier options, merged over an existing config
+ * @param {Pattern[]} patterns
+ * @param {Record<string, any>} [existing] - Current .prettierrc options
+ * @returns {string} '' when no pattern maps to a Prettier option
+ */
+function toPrettierConfig(patterns, existing = {}) {
+  const { settings } = collectStyleSettings(patterns);
+  /** @type {Record<string, any>} */
+  const options = {};
+
+  if (settings.indentStyle) options.useTabs = settings.indentStyle === 'tab';
+  if (settings.indentSize) options.tabWidth = settings.indentSize;
+  if (settings.quotes) options.singleQuote = settings.quotes === 'single';
+  if (settings.semicolons !== undefined) options.semi = settings.semicolons;
+  if (settings.trailingCommas) options.trailingComma = settings.trailingCommas;
+  if (settings.maxLineLength) options.printWidth = settings.maxLineLength;
+  if (settings.endOfLine) options.endOfLine = settings.endOfLine;
+  if (Object.keys(options).length === 0) return '';
+
+  return JSON.stringify({ ...existing, ...options }, null, 2) + '\n';
+}
+
+module.exports = {
+  MANAGED_START,
+  MANAGED_END,
+  EXPORT_FORMATS,
+  groupByCategory,
+  toMarkdown,
+  toJson,
+  toClaudeMd,
+  buildEslintConfig,
+  toEslintConfig,
+  toEditorConfig,
+  toPrettierConfig,
+};
@@ -0,0 +1,141 @@
+/**
+ * Correct Habits - File Helpers
+ * Atomic JSON writes and advisory file locks shared by hooks and commands
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000; // 30 seconds
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Block the current thread for a short time (hooks are synchronous scripts)
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Ensure a directory exists
+ * @param {string} dir - Directory path
+ */
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Read a JSON file, falling back when it is missing or unreadable
+ * @template T
+ * @param {string} file - Path to the JSON file
+ * @param {T} fallback - Value returned when the file can't be used
+ * @returns {T}
+ */
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON through a temp file and rename, so readers never see a half-written file
+ * @param {string} file - Destination path
+ * @param {unknown} data - Data to serialize
+ */
+function writeJsonAtomic(file, data) {
+  ensureDir(path.dirname(file));
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(data, null, 2) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tmpFile);
+    } catch {
+      // Temp file may never have been created
+    }
+    throw err;
+  }
+}
+
+/**
+ * Try to take the lock file once
+ * @param {string} lockFile - Lock file path
+ * @returns {boolean} Whether the lock was acquired
+ */
+function tryAcquire(lockFile) {
+  try {
+    const fd = fs.openSync(lockFile, 'wx');
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+
+  // Break locks left behind by a hook that crashed mid-write
+  try {
+    const { mtimeMs } = fs.statSync(lockFile);
+    if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+      fs.unlinkSync(lockFile);
+    }
+  } catch {
+    // Lock was released between our checks
+  }
+
+  return false;
+}
+
+/**
+ * Run a function while holding an exclusive lock on a file
+ * @template T
+ * @param {string} file - File to lock (a sibling ".lock" file is used)
+ * @param {function(): T} fn - Work to do while holding the lock
+ * @returns {T}
+ */
+function withLock(file, fn) {
+  ensureDir(path.dirname(file));
+  const lockFile = `${file}.lock`;
+  const started = Date.now();
+
+  while (!tryAcquire(lockFile)) {
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for lock on ${file}`);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch {
+      // Ignore - lock already gone
+    }
+  }
+}
+
+module.exports = {
+  ensureDir,
+  readJson,
+  writeJsonAtomic,
+  withLock,
+};
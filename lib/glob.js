@@ -0,0 +1,107 @@
+/**
+ * Correct Habits - Globs
+ * Minimal glob matching for rule include/exclude lists (no dependencies)
+ */
+
+const path = require('path');
+
+/** @type {Map<string, RegExp>} */
+const cache = new Map();
+
+/**
+ * Escape a character for use in a RegExp
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeChar(char) {
+  return /[.+^$()|[\]\\]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Convert a glob to a RegExp. Supports **, *, ?, {a,b} and [abc].
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const cached = cache.get(glob);
+  if (cached) return cached;
+
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += escapeChar(char);
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(glob, regex);
+  return regex;
+}
+
+/**
+ * Test a path against a glob. Globs without a slash match the file name at any
+ * depth, the way .gitignore and ESLint treat them.
+ * @param {string} filePath - Path relative to the project root
+ * @param {string} glob
+ * @returns {boolean}
+ */
+function matchesGlob(filePath, glob) {
+  const normalized = filePath.split(path.sep).join('/').replace(/^\.\//, '');
+  const pattern = glob.replace(/^\.\//, '');
+
+  if (!pattern.includes('/')) {
+    return globToRegExp(pattern).test(path.posix.basename(normalized));
+  }
+  return globToRegExp(pattern).test(normalized);
+}
+
+/**
+ * Test a path against any of several globs
+ * @param {string} filePath
+ * @param {string[]} globs
+ * @returns {boolean}
+ */
+function matchesAny(filePath, globs) {
+  return globs.some(glob => matchesGlob(filePath, glob));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAny,
+};
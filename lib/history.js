@@ -0,0 +1,383 @@
+/**
+ * Correct Habits - Change History
+ * Append-only JSONL record of every change to a pattern store, with the
+ * pattern as it was before and after, so any change can be inspected and undone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ensureDir } = require('./files');
+const {
+  SCOPES,
+  getCandidatesFile,
+  getHistoryFile,
+  getProjectRoot,
+  getScopeFile,
+  getScopeStores,
+} = require('./paths');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./store').PatternsData} PatternsData
+ */
+
+/**
+ * Who made a change: a hook on its own, a CLI command run by Claude (for a
+ * slash command or a hook's instruction), or the user running the CLI themselves
+ * @typedef {'hook' | 'command' | 'user'} Actor
+ */
+
+/**
+ * @typedef {'add' | 'update' | 'remove' | 'archive' | 'restore'} ChangeAction
+ */
+
+/**
+ * @typedef {Object} PatternChange
+ * @property {ChangeAction} action
+ * @property {string} id - Pattern id
+ * @property {string} name
+ * @property {Pattern} [before] - Absent for add; for restore, the archived entry
+ * @property {Pattern} [after] - Absent for remove; for archive, the archived entry
+ * @property {'proposals'} [list] - Set when the change is to the team file's proposals rather than its patterns
+ */
+
+/**
+ * @typedef {Object} ChangeInfo
+ * @property {Actor} actor
+ * @property {string} operation - What was run, e.g. "add", "merge", "clear", "lifecycle"
+ * @property {string} [reason] - Why, in the actor's words
+ * @property {string} [undoes] - Id of the entry this change reverts
+ */
+
+/**
+ * @typedef {ChangeInfo & { id: string, timestamp: string, file: string, changes: PatternChange[] }} HistoryEntry
+ */
+
+/** The history is rotated to a single ".1" backup past this size */
+const MAX_HISTORY_BYTES = 2 * 1024 * 1024;
+
+/** Fields that change without the pattern itself changing (usage counts, timestamps) */
+const BOOKKEEPING_FIELDS = ['updatedAt', 'hitCount', 'lastAppliedAt', 'violationCount', 'lastViolatedAt', 'lastInjectedAt'];
+
+/**
+ * @returns {string}
+ */
+function generateChangeId() {
+  return `chg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * A pattern's content without bookkeeping, for comparing versions
+ * @param {Pattern} pattern
+ * @returns {string}
+ */
+function contentOf(pattern) {
+  const content = { ...pattern };
+  BOOKKEEPING_FIELDS.forEach(field => delete content[field]);
+  return JSON.stringify(content);
+}
+
+/**
+ * Changes between two versions of a store. Usage counts alone don't count as a change.
+ * @param {PatternsData} before
+ * @param {PatternsData} after
+ * @returns {PatternChange[]}
+ */
+function diffStores(before, after) {
+  const beforeById = new Map(before.patterns.map(p => [p.id, p]));
+  const afterById = new Map(after.patterns.map(p => [p.id, p]));
+  const archivedBefore = new Map((before.archived || []).map(p => [p.id, p]));
+  const archivedAfter = new Map((after.archived || []).map(p => [p.id, p]));
+
+  /** @type {PatternChange[]} */
+  const changes = [];
+  for (const p of after.patterns) {
+    const previous = beforeById.get(p.id);
+    if (!previous) {
+      const archived = archivedBefore.get(p.id);
+      changes.push(archived
+        ? { action: 'restore', id: p.id, name: p.name, before: archived, after: p }
+        : { action: 'add', id: p.id, name: p.name, after: p });
+    } else if (contentOf(previous) !== contentOf(p)) {
+      changes.push({ action: 'update', id: p.id, name: p.name, before: previous, after: p });
+    }
+  }
+  for (const p of before.patterns) {
+    if (afterById.has(p.id)) continue;
+    const archived = archivedAfter.get(p.id);
+    changes.push(archived
+      ? { action: 'archive', id: p.id, name: p.name, before: p, after: archived }
+      : { action: 'remove', id: p.id, name: p.name, before: p });
+  }
+
+  const proposalsBefore = new Map((before.proposals || []).map(p => [p.id, p]));
+  const proposalsAfter = new Map((after.proposals || []).map(p => [p.id, p]));
+  for (const p of proposalsAfter.values()) {
+    const previous = proposalsBefore.get(p.id);
+    if (!previous) {
+      changes.push({ action: 'add', id: p.id, name: p.name, after: p, list: 'proposals' });
+    } else if (contentOf(previous) !== contentOf(p)) {
+      changes.push({ action: 'update', id: p.id, name: p.name, before: previous, after: p, list: 'proposals' });
+    }
+  }
+  for (const p of proposalsBefore.values()) {
+    if (!proposalsAfter.has(p.id)) {
+      changes.push({ action: 'remove', id: p.id, name: p.name, before: p, list: 'proposals' });
+    }
+  }
+  return changes;
+}
+
+/**
+ * The list of a store's data a change was made to
+ * @param {PatternsData} data
+ * @param {PatternChange} change
+ * @returns {Pattern[]}
+ */
+function entriesOf(data, change) {
+  return change.list === 'proposals' ? data.proposals || [] : data.patterns;
+}
+
+/**
+ * @param {PatternsData} data - Modified in place
+ * @param {PatternChange} change
+ * @param {Pattern[]} entries
+ */
+function setEntries(data, change, entries) {
+  if (change.list === 'proposals') {
+    data.proposals = entries;
+  } else {
+    data.patterns = entries;
+  }
+}
+
+/**
+ * Append a change to the history of the store it was made to
+ * @param {string} file - The store changed
+ * @param {PatternChange[]} changes
+ * @param {ChangeInfo} info
+ * @returns {HistoryEntry}
+ */
+function recordHistory(file, changes, info) {
+  /** @type {HistoryEntry} */
+  const entry = { id: generateChangeId(), timestamp: new Date().toISOString(), file, ...info, changes };
+  const historyFile = getHistoryFile(file);
+  ensureDir(path.dirname(historyFile));
+
+  try {
+    if (fs.statSync(historyFile).size > MAX_HISTORY_BYTES) {
+      fs.renameSync(historyFile, `${historyFile}.1`);
+    }
+  } catch {
+    // No history yet
+  }
+
+  fs.appendFileSync(historyFile, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Every recorded change to the user's and the project's stores, oldest first
+ * @param {string} [cwd]
+ * @returns {HistoryEntry[]}
+ */
+function readHistory(cwd) {
+  const userHistory = getHistoryFile(getScopeFile('user', cwd));
+  const projectHistory = getHistoryFile(getCandidatesFile(cwd));
+
+  /** @type {HistoryEntry[]} */
+  const entries = [];
+  for (const file of [`${userHistory}.1`, userHistory, `${projectHistory}.1`, projectHistory]) {
+    let content = '';
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry && Array.isArray(entry.changes)) entries.push(entry);
+      } catch {
+        // Blank or partly written line
+      }
+    }
+  }
+
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Ids of entries that a later entry reverted
+ * @param {HistoryEntry[]} entries
+ * @returns {Set<string>}
+ */
+function undoneIds(entries) {
+  return new Set(entries.filter(e => e.undoes).map(e => e.undoes));
+}
+
+/**
+ * The most recent change made by a command that hasn't been undone and isn't
+ * itself an undo. Hook changes (decay at session start, examples from a reply)
+ * happen in the background, so a bare undo reaching them instead of the command
+ * just run would be a surprise; they can still be undone by id.
+ * @param {HistoryEntry[]} entries - Oldest first
+ * @returns {HistoryEntry | undefined}
+ */
+function latestUndoable(entries) {
+  const undone = undoneIds(entries);
+  return [...entries].reverse().find(e => e.actor !== 'hook' && !e.undoes && !undone.has(e.id));
+}
+
+/**
+ * Revert an entry's changes in its store's data. Nothing is changed unless every
+ * change can be reverted: a pattern changed again since must be undone first.
+ * @param {PatternsData} data - Modified in place
+ * @param {HistoryEntry} entry
+ * @returns {string[]} Why the entry can't be reverted (empty when it was)
+ */
+function revertChanges(data, entry) {
+  const problems = [];
+  const archived = data.archived || [];
+
+  for (const change of entry.changes) {
+    const entries = entriesOf(data, change);
+    const pattern = entries.find(p => p.id === change.id);
+    if (change.action === 'add' || change.action === 'update' || change.action === 'restore') {
+      if (!pattern) {
+        problems.push(`${change.name} has been removed since`);
+      } else if (contentOf(pattern) !== contentOf(change.after)) {
+        problems.push(`${change.name} has changed since`);
+      }
+    } else if (entries.some(p => p.id === change.id || p.name === change.name)) {
+      problems.push(`a ${change.list ? 'proposal' : 'pattern'} named ${change.name} exists again`);
+    } else if (change.action === 'archive' && !archived.some(p => p.id === change.id)) {
+      problems.push(`${change.name} is no longer archived`);
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  const now = new Date().toISOString();
+  for (const change of [...entry.changes].reverse()) {
+    const entries = entriesOf(data, change);
+    switch (change.action) {
+      case 'add':
+        setEntries(data, change, entries.filter(p => p.id !== change.id));
+        break;
+      case 'update': {
+        // Usage since the change is kept; only the content goes back
+        const pattern = entries.find(p => p.id === change.id);
+        const usage = Object.fromEntries(BOOKKEEPING_FIELDS.filter(f => pattern[f] !== undefined).map(f => [f, pattern[f]]));
+        setEntries(data, change, entries.map(p => (p.id === change.id ? { ...change.before, ...usage, updatedAt: now } : p)));
+        break;
+      }
+      case 'remove':
+        setEntries(data, change, [...entries, change.before]);
+        break;
+      case 'archive':
+        // Counts as fresh activity, like restore, so it isn't archived again right away
+        data.archived = (data.archived || []).filter(p => p.id !== change.id);
+        data.patterns.push({ ...change.before, updatedAt: now });
+        break;
+      case 'restore':
+        data.patterns = data.patterns.filter(p => p.id !== change.id);
+        data.archived = [...(data.archived || []), /** @type {any} */ (change.before)];
+        break;
+    }
+  }
+  for (const list of ['archived', 'proposals']) {
+    if (data[list] && data[list].length === 0) {
+      delete data[list];
+    }
+  }
+  return [];
+}
+
+/**
+ * Scope of a store file for display
+ * @param {string} file
+ * @param {string} [cwd]
+ * @returns {string} e.g. "project", "team: packages/api" or "review"
+ */
+function storeLabel(file, cwd) {
+  if (file === getCandidatesFile(cwd)) return 'review';
+  for (const scope of SCOPES) {
+    const store = getScopeStores(scope, cwd).find(s => s.file === file);
+    if (store) return store.package ? `${scope}: ${store.package}` : scope;
+  }
+  return path.relative(getProjectRoot(cwd), file);
+}
+
+/**
+ * One-line summary of an entry's changes, e.g. "remove a, b, c and 9 more"
+ * @param {PatternChange[]} changes
+ * @returns {string}
+ */
+function summarizeChanges(changes) {
+  /** @type {Map<string, string[]>} */
+  const byAction = new Map();
+  for (const change of changes) {
+    const action = change.list ? `${change.action} proposal` : change.action;
+    byAction.set(action, [...(byAction.get(action) || []), change.name]);
+  }
+  return [...byAction]
+    .map(([action, names]) => `${action} ${names.slice(0, 3).join(', ')}${names.length > 3 ? ` and ${names.length - 3} more` : ''}`)
+    .join('; ');
+}
+
+/**
+ * Describe an entry on one line, with its reason below
+ * @param {HistoryEntry} entry
+ * @param {boolean} [undone] - Whether a later entry reverted it
+ * @param {string} [cwd] - Project the entry was read from, for labelling its store
+ * @returns {string}
+ */
+function formatEntry(entry, undone = false, cwd) {
+  const time = entry.timestamp.replace('T', ' ').slice(0, 16);
+  let output = `${entry.id}  ${time}  ${entry.actor} ${entry.operation}  ${summarizeChanges(entry.changes)} [${storeLabel(entry.file, cwd)}]`;
+  if (entry.undoes) output += ` (undoes ${entry.undoes})`;
+  if (undone) output += ' (undone)';
+  if (entry.reason) output += `\n  ${entry.reason}`;
+  return output;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.split('\n').join('\n      ');
+}
+
+/**
+ * Field-by-field diff of one change. Usage counts and timestamps are left out.
+ * @param {PatternChange} change
+ * @returns {string}
+ */
+function formatChangeDiff(change) {
+  const before = /** @type {Record<string, any>} */ (change.before || {});
+  const after = /** @type {Record<string, any>} */ (change.after || {});
+  let output = `${change.action}${change.list ? ' proposal' : ''} ${change.name} (${change.id})\n`;
+
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => field !== 'id' && !BOOKKEEPING_FIELDS.includes(field));
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+    if (before[field] !== undefined) output += `  - ${field}: ${formatValue(before[field])}\n`;
+    if (after[field] !== undefined) output += `  + ${field}: ${formatValue(after[field])}\n`;
+  }
+  return output;
+}
+
+module.exports = {
+  diffStores,
+  recordHistory,
+  readHistory,
+  undoneIds,
+  latestUndoable,
+  revertChanges,
+  summarizeChanges,
+  formatEntry,
+  formatChangeDiff,
+};
@@ -0,0 +1,413 @@
+/**
+ * Correct Habits - Import
+ * Seed patterns from conventions a project already documents: ESLint, Prettier,
+ * EditorConfig and tsconfig settings, and the rules listed in CONTRIBUTING.md and CLAUDE.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MANAGED_END, MANAGED_START } = require('./export');
+const { buildQuery } = require('./retrieval');
+const { findSimilar } = require('./similarity');
+const { ESLINT_RULES, eslintRulesFor, patternsFromStyleSettings, styleSettingsFor } = require('./tool-rules');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./tool-rules').StyleSettings} StyleSettings
+ */
+
+/**
+ * @typedef {Object} ImportSource
+ * @property {string[]} files - Candidate paths relative to the project root
+ * @property {function(string): Partial<Pattern>[]} parse - Turn file content into pattern fields
+ * @property {number} confidence - How directly the file states its conventions
+ */
+
+/**
+ * @typedef {Object} ImportedPattern
+ * @property {Partial<Pattern>} fields - Pattern fields, including `source`
+ * @property {Pattern} [coveredBy] - Existing pattern that already says the same, if any
+ */
+
+/** Lines in guideline documents that state a rule */
+const DIRECTIVE = /\b(?:always|never|don'?t|do not|must|should|prefer|avoid|use|no)\b/i;
+
+const BULLET = /^\s*(?:[-*+]|\d+[.)])\s+(.+)$/;
+
+/** Words left out of names generated from guideline text */
+const NAME_STOPWORDS = new Set(['a', 'an', 'the', 'to', 'of', 'in', 'on', 'for', 'and', 'or', 'be', 'is', 'are', 'we', 'you', 'your', 'our', 'all', 'always', 'should', 'must', 'please']);
+
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig, .eslintrc)
+ * @param {string} content
+ * @returns {any} Parsed value, or null if it still isn't valid JSON
+ */
+function parseJsonc(content) {
+  const stripped = content
+    // Strings are matched first so "//" inside them survives
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/,(\s*[}\]])/g, '$1');
+  try {
+    return JSON.parse(stripped);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the section written by `export`, so exported patterns aren't imported back
+ * @param {string} content
+ * @returns {string}
+ */
+function stripManagedSection(content) {
+  const start = content.indexOf(MANAGED_START);
+  const end = content.indexOf(MANAGED_END);
+  if (start === -1 || end < start) return content;
+
+  // Cut from the start of the marker's line to the end of the end marker's line
+  const from = content.lastIndexOf('\n', start) + 1;
+  const lineEnd = content.indexOf('\n', end);
+  return content.slice(0, from) + (lineEnd === -1 ? '' : content.slice(lineEnd + 1));
+}
+
+/**
+ * Pattern fields for an ESLint rule that's switched on
+ * @param {string} rule
+ * @param {unknown} setting - Severity, or [severity, ...options]
+ * @returns {Partial<Pattern>[]}
+ */
+function fromEslintRule(rule, setting) {
+  const severity = Array.isArray(setting) ? setting[0] : setting;
+  if (severity === 'off' || severity === 0 || severity === '0') return [];
+
+  if (rule === 'no-restricted-syntax' && Array.isArray(setting)) {
+    return setting.slice(1)
+      .filter(option => option && typeof option === 'object' && option.selector)
+      .map(option => ({
+        name: slugify(option.message || option.selector),
+        description: option.message || `Avoid code matching ${option.selector}`,
+        category: 'style',
+        rule: { selector: option.selector },
+        ...(severity === 'error' || severity === 2 ? { enforcement: 'block' } : {}),
+      }));
+  }
+
+  const mapping = ESLINT_RULES.find(m => m.rule === rule);
+  if (!mapping) return [];
+
+  const { description, category, bad_example, good_example } = mapping;
+  return [{ name: rule, description, category, bad_example, good_example }];
+}
+
+/**
+ * ESLint config: JSON configs are read properly; JavaScript configs (including flat
+ * config) are scanned for known rule names, since running them isn't safe
+ * @param {string} content
+ * @returns {Partial<Pattern>[]}
+ */
+function fromEslint(content) {
+  const config = parseJsonc(content);
+  if (config && typeof config === 'object') {
+    return Object.entries(config.rules || {}).flatMap(([rule, setting]) => fromEslintRule(rule, setting));
+  }
+
+  const fields = [];
+  for (const match of content.matchAll(/['"]?([\w-]+)['"]?\s*:\s*\[?\s*['"]?(error|warn|off|[012])\b/g)) {
+    fields.push(...fromEslintRule(match[1], match[2]));
+  }
+  return fields;
+}
+
+/**
+ * Prettier options as formatter settings
+ * @param {Record<string, any>} options
+ * @returns {StyleSettings}
+ */
+function prettierSettings(options) {
+  /** @type {StyleSettings} */
+  const settings = {};
+  if (options.useTabs === true) settings.indentStyle = 'tab';
+  if (options.useTabs !== true && typeof options.tabWidth === 'number') {
+    settings.indentStyle = 'space';
+    settings.indentSize = options.tabWidth;
+  }
+  if (typeof options.singleQuote === 'boolean') settings.quotes = options.singleQuote ? 'single' : 'double';
+  if (typeof options.semi === 'boolean') settings.semicolons = options.semi;
+  if (options.trailingComma) settings.trailingCommas = options.trailingComma === 'none' ? 'none' : 'all';
+  if (typeof options.printWidth === 'number') settings.maxLineLength = options.printWidth;
+  if (options.endOfLine === 'lf' || options.endOfLine === 'crlf') settings.endOfLine = options.endOfLine;
+  return settings;
+}
+
+/**
+ * .prettierrc, as JSON or simple YAML
+ * @param {string} content
+ * @returns {Partial<Pattern>[]}
+ */
+function fromPrettier(content) {
+  let options = parseJsonc(content);
+  if (!options || typeof options !== 'object') {
+    options = {};
+    for (const match of content.matchAll(/^\s*(\w+)\s*:\s*["']?([^"'\n#]+?)["']?\s*$/gm)) {
+      const value = match[2];
+      options[match[1]] = value === 'true' ? true : value === 'false' ? false : isNaN(Number(value)) ? value : Number(value);
+    }
+  }
+  return patternsFromStyleSettings(prettierSettings(options));
+}
+
+/**
+ * .editorconfig: only the [*] section, which applies to every file
+ * @param {string} content
+ * @returns {Partial<Pattern>[]}
+ */
+function fromEditorConfig(content) {
+  /** @type {Record<string, string>} */
+  const values = {};
+  let inAllFiles = false;
+
+  for (const line of stripManagedSection(content).split('\n')) {
+    const section = /^\s*\[(.+)\]\s*$/.exec(line);
+    if (section) {
+      inAllFiles = section[1] === '*';
+      continue;
+    }
+    const pair = /^\s*([\w_]+)\s*=\s*(.+?)\s*$/.exec(line);
+    if (pair && inAllFiles) {
+      values[pair[1].toLowerCase()] = pair[2].toLowerCase();
+    }
+  }
+
+  /** @type {StyleSettings} */
+  const settings = {};
+  if (values.indent_style === 'tab' || values.indent_style === 'space') settings.indentStyle = values.indent_style;
+  if (settings.indentStyle === 'space' && Number(values.indent_size)) settings.indentSize = Number(values.indent_size);
+  if (Number(values.max_line_length)) settings.maxLineLength = Number(values.max_line_length);
+  if (values.end_of_line === 'lf' || values.end_of_line === 'crlf') settings.endOfLine = values.end_of_line;
+  if (values.insert_final_newline === 'true') settings.finalNewline = true;
+
+  return patternsFromStyleSettings(settings);
+}
+
+/**
+ * tsconfig.json compiler options that change how code must be written
+ * @param {string} content
+ * @returns {Partial<Pattern>[]}
+ */
+function fromTsconfig(content) {
+  const options = parseJsonc(content)?.compilerOptions;
+  if (!options || typeof options !== 'object') return [];
+
+  /** @type {Partial<Pattern>[]} */
+  const fields = [];
+  if (options.strict || options.noImplicitAny) {
+    fields.push({
+      name: 'no-implicit-any',
+      description: 'Type every parameter and avoid implicit any; the project compiles with strict type checking',
+      category: 'style',
+      bad_example: 'function total(items) {\n  return items.length;\n}',
+      good_example: 'function total(items: Item[]): number {\n  return items.length;\n}',
+    });
+  }
+  if (options.noUnusedLocals || options.noUnusedParameters) {
+    fields.push({
+      name: 'no-unused-variables',
+      description: 'Remove unused variables and parameters instead of leaving them in',
+      category: 'style',
+      bad_example: 'function save(user, options) {\n  const unused = 1;\n  return db.save(user);\n}',
+      good_example: 'function save(user) {\n  return db.save(user);\n}',
+    });
+  }
+  if (options.noImplicitReturns) {
+    fields.push({
+      name: 'explicit-returns',
+      description: 'Return a value on every code path of a function that returns one',
+      category: 'style',
+      bad_example: 'function sign(n: number) {\n  if (n > 0) return 1;\n}',
+      good_example: 'function sign(n: number) {\n  if (n > 0) return 1;\n  return 0;\n}',
+    });
+  }
+
+  for (const [alias, targets] of Object.entries(options.paths || {})) {
+    const prefix = alias.replace(/\*$/, '');
+    const target = Array.isArray(targets) && typeof targets[0] === 'string' ? targets[0].replace(/\*$/, '') : null;
+    if (!prefix || !target) continue;
+
+    fields.push({
+      name: slugify(`import ${target} via alias`),
+      description: `Import from ${target} through the ${prefix} path alias instead of relative paths`,
+      category: 'imports',
+      bad_example: `import { helper } from '../../${target}helper';`,
+      good_example: `import { helper } from '${prefix}helper';`,
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * package.json: the eslintConfig and prettier fields
+ * @param {string} content
+ * @returns {Partial<Pattern>[]}
+ */
+function fromPackageJson(content) {
+  const pkg = parseJsonc(content);
+  if (!pkg || typeof pkg !== 'object') return [];
+
+  const fields = [];
+  if (pkg.eslintConfig) fields.push(...fromEslint(JSON.stringify(pkg.eslintConfig)));
+  if (pkg.prettier && typeof pkg.prettier === 'object') fields.push(...fromPrettier(JSON.stringify(pkg.prettier)));
+  return fields;
+}
+
+/**
+ * Kebab-case name from free text
+ * @param {string} text
+ * @param {string} [fallback] - Name used when no words are left
+ * @returns {string}
+ */
+function slugify(text, fallback = 'imported-convention') {
+  const words = text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(word => word && !NAME_STOPWORDS.has(word));
+  return words.slice(0, 5).join('-') || fallback;
+}
+
+/**
+ * Examples stated inline, e.g. "Use `a` instead of `b`" or "Never use `b`"
+ * @param {string} text - Bullet text with backticks intact
+ * @returns {Partial<Pattern>}
+ */
+function examplesFromText(text) {
+  const preferred = /`([^`]+)`[^`]*?\b(?:instead of|over|rather than|not)\b[^`]*?`([^`]+)`/i.exec(text);
+  if (preferred) {
+    return { good_example: preferred[1], bad_example: preferred[2] };
+  }
+  const forbidden = /\b(?:never|don'?t|do not|avoid|no)\b[^`]*?`([^`]+)`/i.exec(text);
+  if (forbidden) {
+    return { bad_example: forbidden[1] };
+  }
+  return {};
+}
+
+/**
+ * Rules listed as bullets in a guidelines document (CONTRIBUTING.md, CLAUDE.md)
+ * @param {string} content
+ * @returns {Partial<Pattern>[]}
+ */
+function fromGuidelines(content) {
+  const text = stripManagedSection(content).replace(/```[\s\S]*?```/g, '');
+  /** @type {Partial<Pattern>[]} */
+  const fields = [];
+
+  for (const line of text.split('\n')) {
+    const bullet = BULLET.exec(line);
+    if (!bullet || !DIRECTIVE.test(bullet[1])) continue;
+
+    const raw = bullet[1].trim();
+    const description = raw
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/[*_]{1,2}([^*_]+)[*_]{1,2}/g, '$1')
+      .replace(/`/g, '');
+    if (description.length < 15 || description.length > 200) continue;
+
+    const [category = 'other'] = buildQuery(description).categories;
+    fields.push({ name: slugify(description), description, category, ...examplesFromText(raw) });
+  }
+
+  return fields;
+}
+
+/**
+ * Files read by import, in order. Config files state conventions exactly; prose
+ * guidelines are paraphrased, so they get lower confidence.
+ * @type {ImportSource[]}
+ */
+const IMPORT_SOURCES = [
+  { files: ['.eslintrc', '.eslintrc.json', '.eslintrc.js', '.eslintrc.cjs', 'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs'], parse: fromEslint, confidence: 0.9 },
+  { files: ['.prettierrc', '.prettierrc.json'], parse: fromPrettier, confidence: 0.9 },
+  { files: ['.editorconfig'], parse: fromEditorConfig, confidence: 0.9 },
+  { files: ['package.json'], parse: fromPackageJson, confidence: 0.9 },
+  { files: ['tsconfig.json'], parse: fromTsconfig, confidence: 0.9 },
+  { files: ['CONTRIBUTING.md', '.github/CONTRIBUTING.md', 'docs/CONTRIBUTING.md'], parse: fromGuidelines, confidence: 0.7 },
+  { files: ['CLAUDE.md', '.claude/CLAUDE.md'], parse: fromGuidelines, confidence: 0.7 },
+];
+
+/**
+ * Existing pattern that already says what an imported one says: same name, a
+ * near-duplicate, the same ESLint rule, or the same formatter settings
+ * @param {Partial<Pattern>} fields
+ * @param {Pattern[]} existing
+ * @returns {Pattern | undefined}
+ */
+function findCovering(fields, existing) {
+  const candidate = /** @type {Pattern} */ ({ name: '', description: '', ...fields });
+
+  const sameName = existing.find(p => p.name === candidate.name);
+  if (sameName) return sameName;
+
+  const rules = new Set(eslintRulesFor(candidate).map(m => m.rule));
+  const sameRule = existing.find(p => eslintRulesFor(p).some(m => rules.has(m.rule)));
+  if (sameRule) return sameRule;
+
+  const settings = Object.keys(styleSettingsFor(candidate));
+  if (settings.length > 0) {
+    const sameSetting = existing.find(p => {
+      const other = styleSettingsFor(p);
+      return settings.every(key => key in other);
+    });
+    if (sameSetting) return sameSetting;
+  }
+
+  return findSimilar(candidate, existing)[0]?.pattern;
+}
+
+/**
+ * Read the project's convention files into pattern fields, marking those already
+ * covered by existing patterns (or by an earlier file in this import)
+ * @param {Pattern[]} existing - Patterns already stored, in every scope
+ * @param {string} [cwd] - Project directory
+ * @returns {ImportedPattern[]}
+ */
+function importConventions(existing, cwd = process.cwd()) {
+  /** @type {ImportedPattern[]} */
+  const results = [];
+  const seen = [...existing];
+
+  for (const source of IMPORT_SOURCES) {
+    for (const file of source.files) {
+      const fullPath = path.join(cwd, file);
+      if (!fs.existsSync(fullPath)) continue;
+
+      let parsed;
+      try {
+        parsed = source.parse(fs.readFileSync(fullPath, 'utf8'));
+      } catch {
+        // An unreadable or unusual file just contributes nothing
+        continue;
+      }
+
+      for (const pattern of parsed) {
+        const fields = { ...pattern, confidence: source.confidence, source: file, reasoning: `Imported from ${file}` };
+        const coveredBy = findCovering(fields, seen);
+        results.push({ fields, ...(coveredBy && { coveredBy }) });
+        if (!coveredBy) {
+          seen.push(/** @type {Pattern} */ (fields));
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  slugify,
+  parseJsonc,
+  stripManagedSection,
+  findCovering,
+  importConventions,
+};
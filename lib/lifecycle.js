@@ -0,0 +1,187 @@
+/**
+ * Correct Habits - Lifecycle
+ * Confidence decay for patterns that go unapplied, and archival of patterns whose
+ * confidence has fallen too far. Reinforcement happens on merge (see mergePatterns).
+ */
+
+const { getScopeFile, getScopeStores } = require('./paths');
+const { findPattern, readStore, updateStore } = require('./store');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./store').ArchivedPattern} ArchivedPattern
+ * @typedef {import('./store').PatternsData} PatternsData
+ * @typedef {import('./paths').Scope} Scope
+ * @typedef {import('./history').ChangeInfo} ChangeInfo
+ */
+
+/**
+ * @typedef {Object} LifecycleConfig
+ * @property {number} decayAfterDays - Days without use before confidence decays, once per such period (0 disables decay)
+ * @property {number} decayFactor - Confidence multiplier applied per idle period
+ * @property {number} archiveBelow - Patterns whose confidence drops below this are archived
+ */
+
+/**
+ * Team patterns are curated in a committed file, so they neither decay nor get
+ * archived locally; remove them from the team file instead
+ * @type {Scope[]}
+ */
+const LIFECYCLE_SCOPES = ['user', 'project'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a confidence to the precision shown to users
+ * @param {number} value
+ * @returns {number}
+ */
+function roundConfidence(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Time of the last thing that kept a pattern alive. Being loaded at session start
+ * counts: a pattern Claude sees every session is in use even when nothing records
+ * an application. decayedAt counts too, so each idle period only decays the
+ * pattern once.
+ * @param {Pattern} pattern
+ * @returns {number}
+ */
+function lastActivity(pattern) {
+  const dates = [pattern.createdAt, pattern.updatedAt, pattern.lastAppliedAt, pattern.lastInjectedAt, pattern.decayedAt];
+  return Math.max(...dates.filter(Boolean).map(date => new Date(date).getTime()));
+}
+
+/**
+ * Number of whole idle periods since the pattern was last active
+ * @param {Pattern} pattern
+ * @param {LifecycleConfig} config
+ * @param {number} now
+ * @returns {number}
+ */
+function idlePeriods(pattern, config, now) {
+  if (!config.decayAfterDays) return 0;
+  return Math.floor((now - lastActivity(pattern)) / (config.decayAfterDays * DAY_MS));
+}
+
+/**
+ * Whether a pattern needs decaying or archiving
+ * @param {Pattern} pattern
+ * @param {LifecycleConfig} config
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isDue(pattern, config, now = Date.now()) {
+  return idlePeriods(pattern, config, now) > 0 || pattern.confidence < config.archiveBelow;
+}
+
+/**
+ * Decay and archive the patterns in a store
+ * @param {PatternsData} data - Modified in place
+ * @param {LifecycleConfig} config
+ * @param {number} [now]
+ * @returns {{ decayed: Pattern[], archived: ArchivedPattern[] }}
+ */
+function applyLifecycle(data, config, now = Date.now()) {
+  const decayed = [];
+  const archived = [];
+
+  for (const pattern of data.patterns) {
+    const periods = idlePeriods(pattern, config, now);
+    if (periods > 0) {
+      const periodStart = lastActivity(pattern) + periods * config.decayAfterDays * DAY_MS;
+      pattern.confidence = roundConfidence(pattern.confidence * config.decayFactor ** periods);
+      pattern.decayedAt = new Date(periodStart).toISOString();
+      decayed.push(pattern);
+    }
+    if (pattern.confidence < config.archiveBelow) {
+      archived.push({ ...pattern, archivedAt: new Date(now).toISOString() });
+    }
+  }
+
+  if (archived.length > 0) {
+    const archivedIds = new Set(archived.map(p => p.id));
+    data.patterns = data.patterns.filter(p => !archivedIds.has(p.id));
+    data.archived = [...(data.archived || []), ...archived];
+  }
+
+  return { decayed, archived };
+}
+
+/**
+ * Run the lifecycle over every scope it applies to. Stores with nothing due are
+ * left untouched, so this is cheap to call at every session start.
+ * @param {LifecycleConfig} config
+ * @param {string} [cwd] - Project directory
+ * @returns {ArchivedPattern[]} Patterns archived by this run
+ */
+function runLifecycle(config, cwd) {
+  const now = Date.now();
+  const archived = [];
+  /** @type {ChangeInfo} */
+  const change = {
+    actor: 'hook',
+    operation: 'lifecycle',
+    reason: `unused for ${config.decayAfterDays}+ days: confidence decays, and below ${config.archiveBelow} the pattern is archived`,
+  };
+
+  for (const scope of LIFECYCLE_SCOPES) {
+    for (const { file } of getScopeStores(scope, cwd)) {
+      if (!readStore(file).patterns.some(p => isDue(p, config, now))) continue;
+
+      archived.push(...updateStore(file, data => applyLifecycle(data, config, now).archived, change));
+    }
+  }
+
+  return archived;
+}
+
+/**
+ * Archived patterns in a store
+ * @param {Scope} scope
+ * @param {string} [cwd]
+ * @returns {ArchivedPattern[]}
+ */
+function loadArchived(scope, cwd) {
+  return readStore(getScopeFile(scope, cwd)).archived || [];
+}
+
+/**
+ * Move an archived pattern back into the active list. It counts as fresh activity,
+ * and its confidence is lifted to the archive threshold so it isn't archived again
+ * at the next session start.
+ * @param {Scope} scope
+ * @param {string} idOrName
+ * @param {LifecycleConfig} config
+ * @param {ChangeInfo} change - Who restored it and why, for the history
+ * @param {string} [cwd]
+ * @returns {Pattern | null} The restored pattern, or null if it isn't archived in this scope
+ */
+function restorePattern(scope, idOrName, config, change, cwd) {
+  return updateStore(getScopeFile(scope, cwd), data => {
+    const archivedList = data.archived || [];
+    const match = findPattern(archivedList, idOrName);
+    if (!match) return null;
+
+    const { archivedAt, decayedAt, ...pattern } = match;
+    pattern.confidence = Math.max(pattern.confidence, config.archiveBelow);
+    pattern.updatedAt = new Date().toISOString();
+
+    data.archived = archivedList.filter(p => p !== match);
+    if (data.archived.length === 0) {
+      delete data.archived;
+    }
+    data.patterns.push(pattern);
+    return pattern;
+  }, change);
+}
+
+module.exports = {
+  LIFECYCLE_SCOPES,
+  isDue,
+  applyLifecycle,
+  runLifecycle,
+  loadArchived,
+  restorePattern,
+};
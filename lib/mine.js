@@ -0,0 +1,291 @@
+/**
+ * Correct Habits - Mining
+ * Finds corrections in past session transcripts and groups repeats of the same
+ * correction into pattern candidates for review
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { slugify } = require('./import');
+const { replayTranscript } = require('./replay');
+const { cosine, extractDirectives, findSimilar, tokenize } = require('./similarity');
+const { REINFORCEMENT_RATE } = require('./store');
+const { readTranscript } = require('./transcript');
+
+/**
+ * @typedef {import('./detector').DetectionResult} DetectionResult
+ * @typedef {import('./signals').Detector} Detector
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./store').PatternCategory} PatternCategory
+ */
+
+/**
+ * @typedef {Object} MinedCorrection
+ * @property {string} message - What the user typed
+ * @property {string} session - Session id, or the transcript's file name
+ * @property {DetectionResult} detection
+ */
+
+/**
+ * @typedef {Object} CorrectionCluster
+ * @property {MinedCorrection[]} corrections
+ * @property {string[]} tokens - Subject tokens of every correction in the cluster
+ * @property {Map<string, number>} directives - Terms asked for (+1) or forbidden (-1) by any of them
+ */
+
+/**
+ * @typedef {Object} MinedInfo
+ * @property {number} occurrences - Corrections in the cluster
+ * @property {number} sessions - Distinct sessions they came from
+ * @property {string[]} quotes - A few of the corrections, as the user wrote them
+ */
+
+/**
+ * @typedef {Object} MinedCandidate
+ * @property {Partial<Pattern>} fields - Pattern fields to propose
+ * @property {MinedInfo} mined
+ * @property {Pattern} [coveredBy] - Existing pattern that already says this
+ */
+
+/**
+ * @typedef {Object} MineResult
+ * @property {number} files - Transcripts scanned
+ * @property {number} messages - User messages analyzed
+ * @property {number} corrections - Messages detected as corrections
+ * @property {MinedCandidate[]} candidates - Clusters seen often enough, most frequent first
+ */
+
+/** Similarity a correction needs to a cluster to join it */
+const CLUSTER_THRESHOLD = 0.5;
+
+/** Quotes kept per candidate */
+const MAX_QUOTES = 3;
+
+const QUOTE_LENGTH = 200;
+
+/**
+ * Transcript files in a directory
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listTranscripts(dir) {
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Every correction the detector finds in a set of transcripts
+ * @param {string[]} files
+ * @param {Detector} detector
+ * @returns {{ messages: number, corrections: MinedCorrection[] }}
+ */
+function collectCorrections(files, detector) {
+  let messages = 0;
+  /** @type {MinedCorrection[]} */
+  const corrections = [];
+
+  for (const file of files) {
+    const transcript = readTranscript(file);
+    const session = transcript.find(entry => entry.sessionId)?.sessionId || path.basename(file, '.jsonl');
+
+    for (const { message, detection } of replayTranscript(transcript, detector)) {
+      messages++;
+      if (detection.isCorrection && !detection.skipLearning) {
+        corrections.push({ message, session, detection });
+      }
+    }
+  }
+
+  return { messages, corrections };
+}
+
+/**
+ * @param {string} message
+ * @returns {Map<string, number>}
+ */
+function directivesOf(message) {
+  return extractDirectives({ name: '', description: message });
+}
+
+/**
+ * How alike a correction is to a cluster. Asking for or forbidding the same
+ * thing counts as a match however differently it's worded.
+ * @param {MinedCorrection} correction
+ * @param {CorrectionCluster} cluster
+ * @returns {number} 0-1
+ */
+function clusterSimilarity(correction, cluster) {
+  for (const [term, sign] of directivesOf(correction.message)) {
+    if (cluster.directives.get(term) === sign) return 1;
+  }
+  return cosine(tokenize(correction.message), cluster.tokens);
+}
+
+/**
+ * Group corrections that say the same thing
+ * @param {MinedCorrection[]} corrections
+ * @returns {CorrectionCluster[]}
+ */
+function clusterCorrections(corrections) {
+  /** @type {CorrectionCluster[]} */
+  const clusters = [];
+
+  for (const correction of corrections) {
+    let best = null;
+    let bestScore = CLUSTER_THRESHOLD;
+    for (const cluster of clusters) {
+      const score = clusterSimilarity(correction, cluster);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      best = { corrections: [], tokens: [], directives: new Map() };
+      clusters.push(best);
+    }
+    best.corrections.push(correction);
+    best.tokens.push(...tokenize(correction.message));
+    for (const [term, sign] of directivesOf(correction.message)) {
+      if (!best.directives.has(term)) best.directives.set(term, sign);
+    }
+  }
+
+  return clusters;
+}
+
+/**
+ * Most frequent value, earliest first on ties
+ * @template T
+ * @param {T[]} values
+ * @returns {T | undefined}
+ */
+function mostCommon(values) {
+  /** @type {Map<T, number>} */
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {string} message
+ * @returns {string}
+ */
+function toQuote(message) {
+  const flat = message.replace(/\s+/g, ' ').trim();
+  return flat.length > QUOTE_LENGTH ? `${flat.slice(0, QUOTE_LENGTH - 1)}…` : flat;
+}
+
+/**
+ * A directive term with the word after it when that word carries meaning, so
+ * "use named exports" names the candidate "use-named-exports" rather than "use-named"
+ * @param {string} term - Token from extractDirectives
+ * @param {string} message
+ * @returns {string}
+ */
+function termPhrase(term, message) {
+  const escaped = term.replace(/[$.]/g, '\\$&');
+  const match = new RegExp(`\\b(${escaped}\\w*)[\`'"]?\\s+(\\w+)`, 'i').exec(message);
+  return match && tokenize(match[2]).length > 0 ? `${match[1]} ${match[2]}` : term;
+}
+
+/**
+ * Propose a pattern for a cluster. The description is the user's clearest wording
+ * (the highest-scoring correction); it's meant to be tidied up in review.
+ * @param {CorrectionCluster} cluster
+ * @returns {MinedCandidate}
+ */
+function candidateFromCluster(cluster) {
+  const { corrections } = cluster;
+  const clearest = corrections.reduce((a, b) => (b.detection.confidence > a.detection.confidence ? b : a));
+  const description = toQuote(clearest.message);
+
+  const directives = corrections.flatMap(c => [...directivesOf(c.message)]);
+  const asked = mostCommon(directives.filter(([, sign]) => sign > 0).map(([term]) => term));
+  const forbidden = mostCommon(directives.filter(([, sign]) => sign < 0).map(([term]) => term));
+  const name = asked && forbidden ? slugify(`prefer ${asked} over ${forbidden}`)
+    : forbidden ? slugify(`avoid ${termPhrase(forbidden, clearest.message)}`)
+      : asked ? slugify(`use ${termPhrase(asked, clearest.message)}`)
+        : slugify(description, 'mined-correction');
+
+  // Each repeat reinforces confidence the way merging a repeated correction does
+  const average = corrections.reduce((sum, c) => sum + c.detection.confidence, 0) / corrections.length;
+  let confidence = average;
+  for (let i = 1; i < corrections.length; i++) {
+    confidence += (1 - confidence) * REINFORCEMENT_RATE;
+  }
+
+  const sessions = new Set(corrections.map(c => c.session)).size;
+  const category = mostCommon(corrections.flatMap(c => c.detection.categoryHints)) || 'other';
+  const badExample = mostCommon(corrections.map(c => c.detection.badExample).filter(Boolean));
+
+  /** @type {Partial<Pattern>} */
+  const fields = {
+    name,
+    description,
+    category: /** @type {PatternCategory} */ (category),
+    confidence: Math.round(confidence * 1000) / 1000,
+    reasoning: `Mined from ${corrections.length} corrections in ${sessions} session${sessions === 1 ? '' : 's'}`,
+    source: 'transcripts',
+  };
+  if (badExample) {
+    fields.bad_example = badExample;
+  }
+  const tags = [...new Set(corrections.flatMap(c => c.detection.tagHints))];
+  if (tags.length > 0) {
+    fields.tags = tags;
+  }
+
+  return {
+    fields,
+    mined: {
+      occurrences: corrections.length,
+      sessions,
+      quotes: [...new Set(corrections.map(c => toQuote(c.message)))].slice(0, MAX_QUOTES),
+    },
+  };
+}
+
+/**
+ * Mine a directory of transcripts for repeated corrections
+ * @param {string} dir - Directory of transcript JSONL files
+ * @param {Detector} detector
+ * @param {Pattern[]} existing - Patterns and candidates already stored
+ * @param {number} [minCount] - Occurrences a correction needs to be proposed
+ * @returns {MineResult}
+ */
+function mineTranscripts(dir, detector, existing, minCount = 2) {
+  const files = listTranscripts(dir);
+  const { messages, corrections } = collectCorrections(files, detector);
+
+  const candidates = clusterCorrections(corrections)
+    .filter(cluster => cluster.corrections.length >= minCount)
+    .sort((a, b) => b.corrections.length - a.corrections.length)
+    .map(cluster => {
+      const candidate = candidateFromCluster(cluster);
+      const [match] = findSimilar(/** @type {Pattern} */ (candidate.fields), existing);
+      if (match) {
+        candidate.coveredBy = match.pattern;
+      }
+      return candidate;
+    });
+
+  return { files: files.length, messages, corrections: corrections.length, candidates };
+}
+
+module.exports = {
+  listTranscripts,
+  clusterCorrections,
+  mineTranscripts,
+};
@@ -0,0 +1,315 @@
+/**
+ * Correct Habits - Paths
+ * Locations of the pattern stores and per-project state files. The project is
+ * the git repository a directory belongs to, so hooks started from any
+ * subdirectory share one state directory at the repository root.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @typedef {'user' | 'team' | 'project'} Scope
+ */
+
+/**
+ * @typedef {Object} ScopeStore
+ * @property {string} file - Pattern store file
+ * @property {string} [package] - Directory of a nested package store, relative to the repository root
+ */
+
+/**
+ * Pattern scopes, lowest precedence first. A pattern in a later scope overrides
+ * one with the same name in an earlier scope.
+ * @type {Scope[]}
+ */
+const SCOPES = ['user', 'team', 'project'];
+
+/** @type {Map<string, string>} */
+const projectRoots = new Map();
+
+/**
+ * Repository root of a directory: the nearest ancestor with a .git entry (a
+ * directory, or a file in worktrees and submodules). Outside a repository the
+ * directory itself is the root.
+ * @param {string} [cwd] - Defaults to process.cwd()
+ * @returns {string}
+ */
+function getProjectRoot(cwd = process.cwd()) {
+  const start = path.resolve(cwd);
+  if (!projectRoots.has(start)) {
+    let dir = start;
+    while (!fs.existsSync(path.join(dir, '.git'))) {
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        dir = start;
+        break;
+      }
+      dir = parent;
+    }
+    projectRoots.set(start, dir);
+  }
+  return projectRoots.get(start);
+}
+
+/**
+ * Directories with a pattern store, from the repository root down to cwd. The
+ * root always has one; a package directory gets its own, inheriting from the
+ * root, by having a .claude/correct-habits directory or a .claude/correct-habits.json
+ * team file.
+ * @param {string} [cwd]
+ * @returns {string[]} Root first, nearest last
+ */
+function getStoreDirs(cwd = process.cwd()) {
+  const root = getProjectRoot(cwd);
+  const relative = path.relative(root, path.resolve(cwd));
+  const dirs = [root];
+
+  let dir = root;
+  for (const part of relative ? relative.split(path.sep) : []) {
+    dir = path.join(dir, part);
+    if (fs.existsSync(path.join(dir, '.claude', 'correct-habits')) || fs.existsSync(path.join(dir, '.claude', 'correct-habits.json'))) {
+      dirs.push(dir);
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Directory holding the plugin's state for the current project
+ * @param {string} [cwd] - Any directory in the project (defaults to process.cwd())
+ * @returns {string}
+ */
+function getStateDir(cwd) {
+  return path.join(getProjectRoot(cwd), '.claude', 'correct-habits');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to patterns.json of the nearest store
+ */
+function getPatternsFile(cwd) {
+  return storeFile('project', getStoreDirs(cwd).pop());
+}
+
+/**
+ * Claude Code's own configuration directory
+ * @returns {string}
+ */
+function getClaudeDir() {
+  return process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+}
+
+/**
+ * Directory holding the user's global state (shared by every project)
+ * @returns {string}
+ */
+function getUserStateDir() {
+  return path.join(getClaudeDir(), 'correct-habits');
+}
+
+/**
+ * Where Claude Code keeps the session transcripts for a project. The project
+ * path is encoded with every non-alphanumeric character replaced by "-".
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+function getTranscriptsDir(cwd = process.cwd()) {
+  return path.join(getClaudeDir(), 'projects', path.resolve(cwd).replace(/[^a-zA-Z0-9]/g, '-'));
+}
+
+/**
+ * Store file of a team or project store directory. Team patterns live outside
+ * the state directory so they can be committed while the rest of
+ * .claude/correct-habits stays local.
+ * @param {'team' | 'project'} scope
+ * @param {string} dir - Repository root or package directory
+ * @returns {string}
+ */
+function storeFile(scope, dir) {
+  return scope === 'team'
+    ? path.join(dir, '.claude', 'correct-habits.json')
+    : path.join(dir, '.claude', 'correct-habits', 'patterns.json');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to the committed team patterns file of the nearest store
+ */
+function getTeamPatternsFile(cwd) {
+  return storeFile('team', getStoreDirs(cwd).pop());
+}
+
+/**
+ * Pattern store file for a scope: the nearest store, which writes go to
+ * @param {Scope} scope
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+function getScopeFile(scope, cwd) {
+  switch (scope) {
+    case 'user':
+      return path.join(getUserStateDir(), 'patterns.json');
+    case 'team':
+      return getTeamPatternsFile(cwd);
+    case 'project':
+      return getPatternsFile(cwd);
+    default:
+      throw new Error(`Unknown scope "${scope}" (expected one of ${SCOPES.join(', ')})`);
+  }
+}
+
+/**
+ * Every store of a scope that applies in cwd, root first and nearest last
+ * @param {Scope} scope
+ * @param {string} [cwd]
+ * @returns {ScopeStore[]}
+ */
+function getScopeStores(scope, cwd) {
+  if (scope === 'user') {
+    return [{ file: getScopeFile('user') }];
+  }
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown scope "${scope}" (expected one of ${SCOPES.join(', ')})`);
+  }
+
+  const [root, ...packages] = getStoreDirs(cwd);
+  return [
+    { file: storeFile(scope, root) },
+    ...packages.map(dir => ({ file: storeFile(scope, dir), package: path.relative(root, dir).split(path.sep).join('/') })),
+  ];
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to candidates.json (patterns waiting for review)
+ */
+function getCandidatesFile(cwd) {
+  return path.join(getStateDir(cwd), 'candidates.json');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to team-usage.json (usage counts for team patterns, kept out of the committed file)
+ */
+function getTeamUsageFile(cwd) {
+  return path.join(getStateDir(cwd), 'team-usage.json');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to injected.json (patterns in context and their usage this turn)
+ */
+function getInjectedFile(cwd) {
+  return path.join(getStateDir(cwd), 'injected.json');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to pending.json
+ */
+function getPendingFile(cwd) {
+  return path.join(getStateDir(cwd), 'pending.json');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to detections.jsonl (append-only log of correction detections)
+ */
+function getDetectionsLogFile(cwd) {
+  return path.join(getStateDir(cwd), 'detections.jsonl');
+}
+
+/**
+ * Change history of a store. Changes to the user's store are kept with the
+ * user's state; changes to a project's stores, team and review queue included,
+ * in that project's state directory. The project is found from the store itself,
+ * so a store written from elsewhere is logged where its own project reads it.
+ * @param {string} file - A pattern store
+ * @returns {string} Path to history.jsonl (append-only log of store changes)
+ */
+function getHistoryFile(file) {
+  if (path.dirname(file) === getUserStateDir()) {
+    return path.join(getUserStateDir(), 'history.jsonl');
+  }
+  // .claude/correct-habits/<store>.json, or the team file .claude/correct-habits.json
+  const claudeDir = path.basename(path.dirname(file)) === 'correct-habits' ? path.dirname(path.dirname(file)) : path.dirname(file);
+  return path.join(getStateDir(path.dirname(claudeDir)), 'history.jsonl');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Path to last-response.json, the single-session context file
+ * earlier versions wrote (only looked up to remove it)
+ */
+function getLastResponseFile(cwd) {
+  return path.join(getStateDir(cwd), 'last-response.json');
+}
+
+/**
+ * Session id made safe to use in a file name
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function safeSessionId(sessionId) {
+  return sessionId.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * @param {string} [cwd]
+ * @returns {string} Directory holding each session's recent responses
+ */
+function getSessionsDir(cwd) {
+  return path.join(getStateDir(cwd), 'sessions');
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {string} Path to the session's context file
+ */
+function getSessionContextFile(sessionId, cwd) {
+  return path.join(getSessionsDir(cwd), `${safeSessionId(sessionId)}.json`);
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {string} Path to snapshots of the files Claude wrote in the session's last turn
+ */
+function getSessionSnapshotFile(sessionId, cwd) {
+  return path.join(getSessionsDir(cwd), `${safeSessionId(sessionId)}.files.json`);
+}
+
+/**
+ * Location of the bundled correct-habits CLI
+ * @returns {string}
+ */
+function getCliPath() {
+  return path.join(__dirname, '..', 'bin', 'correct-habits.js');
+}
+
+module.exports = {
+  SCOPES,
+  getCliPath,
+  getProjectRoot,
+  getStoreDirs,
+  getStateDir,
+  getUserStateDir,
+  getTranscriptsDir,
+  getPatternsFile,
+  getTeamPatternsFile,
+  getScopeFile,
+  getScopeStores,
+  getCandidatesFile,
+  getTeamUsageFile,
+  getInjectedFile,
+  getPendingFile,
+  getDetectionsLogFile,
+  getHistoryFile,
+  getLastResponseFile,
+  getSessionsDir,
+  getSessionContextFile,
+  getSessionSnapshotFile,
+};
@@ -0,0 +1,296 @@
+/**
+ * Correct Habits - Pending Examples
+ * Patterns saved without examples are queued here; session start has Claude ask
+ * the user for them, and once Claude has asked, the user's next message is
+ * written back into the pattern
+ */
+
+const { readJson, withLock, writeJsonAtomic } = require('./files');
+const { getPendingFile, getScopeFile } = require('./paths');
+const { findPattern, loadPatterns, updateStore } = require('./store');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./paths').Scope} Scope
+ */
+
+/**
+ * @typedef {'good_example' | 'bad_example'} ExampleField
+ */
+
+/**
+ * @typedef {Object} PendingPattern
+ * @property {string} patternId - Id of the pattern that needs examples
+ * @property {string} name - Pattern name
+ * @property {string} description - Pattern description
+ * @property {Scope} scope - Scope the pattern is stored in
+ * @property {string} [file] - Store file the pattern is in, which may be a package's
+ *   or the root's (absent in entries queued by older versions)
+ * @property {string} [bad_example] - Known bad example
+ * @property {ExampleField[]} needs - Missing examples, in the order they're asked for
+ * @property {number} sessions - Number of sessions the user has been asked in
+ * @property {string} [lastSessionId] - Session the user was last asked in
+ * @property {boolean} [awaitingReply] - Whether Claude has asked, so the user's next message is the reply
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} PendingReply
+ * @property {boolean} skipped - The user dismissed the request
+ * @property {{ entry: PendingPattern, fields: Partial<Pattern> }[]} filled - Examples written back
+ */
+
+/** Sessions a pending pattern is asked about before it expires unanswered */
+const PENDING_MAX_SESSIONS = 3;
+
+const SKIP_REPLY = /^\s*(?:skip|dismiss|ignore|no thanks)\b/i;
+
+/** Lines that look like code rather than prose */
+const CODE_LIKE = /[=(){};<>[\]]|=>|^\s*(?:import|export|const|let|function|class|def|return)\b/;
+
+/**
+ * Examples a pattern is missing. The correct way is asked for first.
+ * @param {Partial<Pattern>} pattern
+ * @returns {ExampleField[]}
+ */
+function missingExamples(pattern) {
+  /** @type {ExampleField[]} */
+  const fields = ['good_example', 'bad_example'];
+  return fields.filter(field => !pattern[field]);
+}
+
+/**
+ * Load pending patterns
+ * @param {string} [cwd] - Project directory
+ * @returns {PendingPattern[]}
+ */
+function loadPending(cwd) {
+  const pending = readJson(getPendingFile(cwd), []);
+  return Array.isArray(pending) ? pending.filter(p => p && p.patternId && Array.isArray(p.needs)) : [];
+}
+
+/**
+ * Read-modify-write pending.json under a lock
+ * @template T
+ * @param {function(PendingPattern[]): { pending: PendingPattern[], result: T }} mutator
+ * @param {string} [cwd]
+ * @returns {T}
+ */
+function updatePending(mutator, cwd) {
+  const file = getPendingFile(cwd);
+  return withLock(file, () => {
+    const { pending, result } = mutator(loadPending(cwd));
+    writeJsonAtomic(file, pending);
+    return result;
+  });
+}
+
+/**
+ * Queue a just-saved pattern if it's missing an example
+ * @param {Pattern} pattern
+ * @param {Scope} scope - Scope it was saved in
+ * @param {string} [cwd]
+ * @returns {boolean} Whether it was queued
+ */
+function queuePending(pattern, scope, cwd) {
+  const needs = missingExamples(pattern);
+  if (needs.length === 0) return false;
+
+  return updatePending(pending => {
+    /** @type {PendingPattern} */
+    const entry = {
+      patternId: pattern.id,
+      name: pattern.name,
+      description: pattern.description,
+      scope,
+      file: getScopeFile(scope, cwd),
+      needs,
+      sessions: 0,
+      createdAt: new Date().toISOString(),
+    };
+    if (pattern.bad_example) {
+      entry.bad_example = pattern.bad_example;
+    }
+    return { pending: [...pending.filter(p => p.patternId !== pattern.id), entry], result: true };
+  }, cwd);
+}
+
+/**
+ * Store file holding the pattern behind a pending entry
+ * @param {PendingPattern} entry
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+function pendingStoreFile(entry, cwd) {
+  return entry.file || getScopeFile(entry.scope, cwd);
+}
+
+/**
+ * Look up the stored pattern behind a pending entry
+ * @param {PendingPattern} entry
+ * @param {string} [cwd]
+ * @returns {Pattern | undefined}
+ */
+function findPendingPattern(entry, cwd) {
+  return findPattern(loadPatterns(pendingStoreFile(entry, cwd)), entry.patternId);
+}
+
+/**
+ * Pick the entries to ask about in a new session. Entries whose pattern is gone or
+ * already has its examples are dropped, and so are entries asked about in
+ * PENDING_MAX_SESSIONS sessions without an answer.
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {PendingPattern[]} Entries to ask about
+ */
+function startPendingSession(sessionId, cwd) {
+  if (loadPending(cwd).length === 0) return [];
+
+  return updatePending(pending => {
+    const kept = [];
+    for (const entry of pending) {
+      const pattern = findPendingPattern(entry, cwd);
+      if (!pattern) continue;
+
+      entry.needs = entry.needs.filter(field => !pattern[field]);
+      if (entry.needs.length === 0) continue;
+
+      // Resumed and compacted sessions keep their id and don't count again
+      if (entry.lastSessionId !== sessionId) {
+        entry.sessions += 1;
+        entry.lastSessionId = sessionId;
+        delete entry.awaitingReply;
+      }
+      if (entry.sessions > PENDING_MAX_SESSIONS) continue;
+
+      kept.push(entry);
+    }
+    return { pending: kept, result: kept };
+  }, cwd);
+}
+
+/**
+ * Arm the entries Claude asked about in its last response, so the user's next
+ * message is read as the reply. Nothing is armed at session start: the first
+ * prompt is often about something else, and Claude may not ask until later.
+ * Claude is told to name each pattern when asking, so an entry counts as asked
+ * when a response that asks a question names it.
+ * @param {string} response - Text of Claude's last response
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {PendingPattern[]} Entries now awaiting a reply
+ */
+function markPendingAsked(response, sessionId, cwd) {
+  const text = response.toLowerCase();
+  if (!text.includes('?')) return [];
+
+  const asked = loadPending(cwd).filter(p =>
+    p.lastSessionId === sessionId && !p.awaitingReply && text.includes(p.name.toLowerCase())
+  );
+  if (asked.length === 0) return [];
+
+  return updatePending(pending => {
+    const askedIds = new Set(asked.map(p => p.patternId));
+    const armed = [];
+    for (const entry of pending) {
+      if (askedIds.has(entry.patternId)) {
+        entry.awaitingReply = true;
+        armed.push(entry);
+      }
+    }
+    return { pending, result: armed };
+  }, cwd);
+}
+
+/**
+ * Code snippets in a reply: fenced blocks, else inline code, else numbered or
+ * bare lines that look like code
+ * @param {string} message
+ * @returns {string[]}
+ */
+function extractSnippets(message) {
+  const fenced = [...message.matchAll(/```[^\n]*\n([\s\S]*?)```/g)].map(m => m[1].trim());
+  if (fenced.length > 0) return fenced.filter(Boolean);
+
+  const inline = [...message.matchAll(/`([^`\n]+)`/g)].map(m => m[1].trim());
+  if (inline.length > 0) return inline.filter(Boolean);
+
+  const numbered = [...message.matchAll(/^\s*\d+[.)]\s+(.+)$/gm)].map(m => m[1].trim());
+  if (numbered.length > 0) return numbered.filter(line => CODE_LIKE.test(line));
+
+  return CODE_LIKE.test(message) ? [message.trim()] : [];
+}
+
+/**
+ * Handle the first message after Claude asked the user for examples. Snippets are
+ * assigned in the order the examples were asked for. Entries that get nothing
+ * stay pending and are asked about again next session.
+ * @param {string} message - The user's message
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ * @returns {PendingReply | null} Null when no reply was expected or the message isn't one
+ */
+function takePendingReply(message, sessionId, cwd) {
+  const awaiting = loadPending(cwd).filter(p => p.awaitingReply && p.lastSessionId === sessionId);
+  if (awaiting.length === 0) return null;
+
+  const skipped = SKIP_REPLY.test(message);
+  const snippets = skipped ? [] : extractSnippets(message);
+
+  /** @type {PendingReply['filled']} */
+  const filled = [];
+  for (const entry of awaiting) {
+    /** @type {Partial<Pattern>} */
+    const fields = {};
+    for (const field of entry.needs) {
+      if (snippets.length === 0) break;
+      fields[field] = snippets.shift();
+    }
+    if (Object.keys(fields).length > 0) {
+      filled.push({ entry, fields });
+    }
+  }
+
+  for (const { entry, fields } of filled) {
+    updateStore(pendingStoreFile(entry, cwd), data => {
+      const pattern = findPattern(data.patterns, entry.patternId);
+      if (pattern) {
+        Object.assign(pattern, fields, { updatedAt: new Date().toISOString() });
+      }
+    }, { actor: 'hook', operation: 'examples', reason: "examples filled in from the user's reply" });
+  }
+
+  // Only the next message counts as the reply, whatever it was
+  updatePending(pending => {
+    const awaitingIds = new Set(awaiting.map(p => p.patternId));
+    const kept = [];
+    for (const entry of pending) {
+      if (!awaitingIds.has(entry.patternId)) {
+        kept.push(entry);
+        continue;
+      }
+      if (skipped) continue;
+
+      const reply = filled.find(f => f.entry.patternId === entry.patternId);
+      const needs = reply ? entry.needs.filter(field => !reply.fields[field]) : entry.needs;
+      if (needs.length > 0) {
+        kept.push({ ...entry, needs, awaitingReply: false });
+      }
+    }
+    return { pending: kept, result: undefined };
+  }, cwd);
+
+  if (!skipped && filled.length === 0) return null;
+  return { skipped, filled };
+}
+
+module.exports = {
+  PENDING_MAX_SESSIONS,
+  missingExamples,
+  loadPending,
+  queuePending,
+  startPendingSession,
+  markPendingAsked,
+  extractSnippets,
+  takePendingReply,
+};
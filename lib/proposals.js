@@ -0,0 +1,175 @@
+/**
+ * Correct Habits - Team Proposals
+ * A pattern learned on one machine is proposed into the committed team file,
+ * where it waits until a teammate approves or rejects it. Only approved patterns
+ * are loaded: proposals live in a section of the file that is never injected.
+ */
+
+const { execFileSync } = require('child_process');
+const os = require('os');
+const { getTeamPatternsFile } = require('./paths');
+const { StoreError, createPattern, findPattern, readStore, updateStore } = require('./store');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./history').ChangeInfo} ChangeInfo
+ */
+
+/**
+ * @param {string} key - git config key
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+function gitConfig(key, cwd) {
+  try {
+    return execFileSync('git', ['config', key], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 2000 }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Who is proposing or reviewing: the git identity commits are made under, or
+ * the login name outside git
+ * @param {string} [cwd]
+ * @returns {string} e.g. "Ada Lovelace <ada@example.com>"
+ */
+function currentUser(cwd) {
+  const name = gitConfig('user.name', cwd);
+  const email = gitConfig('user.email', cwd);
+  if (name && email) return `${name} <${email}>`;
+  return name || email || os.userInfo().username;
+}
+
+/**
+ * Proposals in the team file, pending and rejected
+ * @param {string} [cwd]
+ * @returns {Pattern[]}
+ */
+function loadProposals(cwd) {
+  return readStore(getTeamPatternsFile(cwd)).proposals || [];
+}
+
+/**
+ * Propose patterns to the team in one change. Each proposal is a fresh copy: usage
+ * stays with a local pattern, which is kept. A rejected proposal of the same name
+ * is replaced, so a pattern can be reworked and proposed again.
+ * @param {Partial<Pattern>[]} patterns - Local patterns, or fields of new ones
+ * @param {ChangeInfo} change - Who proposed them and why, for the history
+ * @param {string} [cwd]
+ * @returns {Pattern[]} The proposals
+ */
+function proposePatterns(patterns, change, cwd) {
+  const proposedBy = currentUser(cwd);
+  return updateStore(getTeamPatternsFile(cwd), data => {
+    let proposals = data.proposals || [];
+    const added = [];
+    for (const pattern of patterns) {
+      if (findPattern(data.patterns, pattern.name)) {
+        throw new StoreError(`"${pattern.name}" is already a team pattern`);
+      }
+      if (proposals.some(p => p.name === pattern.name && p.status === 'pending')) {
+        throw new StoreError(`"${pattern.name}" has already been proposed and is waiting for approval`);
+      }
+
+      const proposal = createPattern(pattern);
+      Object.assign(proposal, { status: 'pending', proposedBy, proposedAt: proposal.createdAt });
+      proposals = [...proposals.filter(p => p.name !== pattern.name), proposal];
+      added.push(proposal);
+    }
+    data.proposals = proposals;
+    return added;
+  }, change);
+}
+
+/**
+ * Propose one pattern to the team (see proposePatterns)
+ * @param {Partial<Pattern>} pattern
+ * @param {ChangeInfo} change
+ * @param {string} [cwd]
+ * @returns {Pattern} The proposal
+ */
+function proposePattern(pattern, change, cwd) {
+  return proposePatterns([pattern], change, cwd)[0];
+}
+
+/**
+ * Find a pending proposal, explaining why when there isn't one
+ * @param {Pattern[]} proposals
+ * @param {string} idOrName
+ * @returns {Pattern}
+ */
+function findPending(proposals, idOrName) {
+  const proposal = findPattern(proposals, idOrName);
+  if (!proposal) {
+    throw new StoreError(`No proposal matching "${idOrName}" (see proposals)`);
+  }
+  if (proposal.status !== 'pending') {
+    throw new StoreError(`"${proposal.name}" was already ${proposal.status} by ${proposal.rejectedBy || proposal.approvedBy}`);
+  }
+  return proposal;
+}
+
+/**
+ * Approve a proposal: it moves into the team's patterns and is loaded for
+ * everyone once the file is committed.
+ * @param {string} idOrName
+ * @param {ChangeInfo} change - Who approved it and why, for the history
+ * @param {boolean} [force] - Allow approving your own proposal
+ * @param {string} [cwd]
+ * @returns {Pattern} The approved pattern
+ */
+function approveProposal(idOrName, change, force = false, cwd) {
+  const reviewer = currentUser(cwd);
+  return updateStore(getTeamPatternsFile(cwd), data => {
+    const proposal = findPending(data.proposals || [], idOrName);
+    if (proposal.proposedBy === reviewer && !force) {
+      throw new StoreError(`You proposed "${proposal.name}"; a teammate should approve it (or pass --force)`);
+    }
+    if (findPattern(data.patterns, proposal.name)) {
+      throw new StoreError(`"${proposal.name}" is already a team pattern; reject the proposal instead`);
+    }
+
+    const now = new Date().toISOString();
+    /** @type {Pattern} */
+    const approved = { ...proposal, status: 'approved', approvedBy: reviewer, reviewedAt: now, updatedAt: now };
+    if (change.reason) {
+      approved.reviewNote = change.reason;
+    }
+    data.proposals = data.proposals.filter(p => p !== proposal);
+    if (data.proposals.length === 0) {
+      delete data.proposals;
+    }
+    data.patterns.push(approved);
+    return approved;
+  }, change);
+}
+
+/**
+ * Reject a proposal. It stays in the file, marked rejected with the reason, so
+ * the proposer sees the outcome when they pull.
+ * @param {string} idOrName
+ * @param {ChangeInfo} change - Who rejected it and why, for the history
+ * @param {string} [cwd]
+ * @returns {Pattern} The rejected proposal
+ */
+function rejectProposal(idOrName, change, cwd) {
+  const reviewer = currentUser(cwd);
+  return updateStore(getTeamPatternsFile(cwd), data => {
+    const proposal = findPending(data.proposals || [], idOrName);
+    Object.assign(proposal, { status: 'rejected', rejectedBy: reviewer, reviewedAt: new Date().toISOString() });
+    if (change.reason) {
+      proposal.reviewNote = change.reason;
+    }
+    return proposal;
+  }, change);
+}
+
+module.exports = {
+  currentUser,
+  loadProposals,
+  proposePatterns,
+  proposePattern,
+  approveProposal,
+  rejectProposal,
+};
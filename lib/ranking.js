@@ -0,0 +1,73 @@
+/**
+ * Correct Habits - Ranking
+ * Decides which patterns are injected at session start
+ */
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ */
+
+/** Patterns injected at session start; the rest are only injected when relevant to a prompt */
+const SESSION_PATTERN_LIMIT = 20;
+
+const RECENT_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Whether an optional ISO date falls within the recent window
+ * @param {string | undefined} date
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isRecent(date, now) {
+  return Boolean(date) && new Date(date).getTime() > now - RECENT_MS;
+}
+
+/**
+ * Score a pattern by usage and recency, weighted by its current confidence (which
+ * decays while the pattern goes unused). Counts are log-scaled so one heavily used
+ * pattern can't crowd out everything else. Violations weigh more than hits: a pattern
+ * that keeps being broken is the one most worth reminding about.
+ * @param {Pattern} pattern
+ * @param {number} [now]
+ * @returns {number}
+ */
+function scorePattern(pattern, now = Date.now()) {
+  const usage = Math.log2(1 + (pattern.hitCount || 0)) * 2 +
+    Math.log2(1 + (pattern.violationCount || 0)) * 3 +
+    (isRecent(pattern.createdAt, now) ? 1 : 0) +
+    (isRecent(pattern.lastAppliedAt, now) ? 1 : 0) +
+    (isRecent(pattern.lastViolatedAt, now) ? 2 : 0);
+  return (1 + usage) * pattern.confidence;
+}
+
+/**
+ * Sort patterns best first without modifying the input
+ * @template {Pattern} T
+ * @param {T[]} patterns
+ * @returns {T[]}
+ */
+function rankPatterns(patterns) {
+  const now = Date.now();
+  return [...patterns].sort((a, b) => scorePattern(b, now) - scorePattern(a, now));
+}
+
+/**
+ * Split ranked patterns into those injected at session start and the rest
+ * @template {Pattern} T
+ * @param {T[]} patterns
+ * @returns {{ session: T[], rest: T[] }}
+ */
+function splitForSession(patterns) {
+  const ranked = rankPatterns(patterns);
+  return {
+    session: ranked.slice(0, SESSION_PATTERN_LIMIT),
+    rest: ranked.slice(SESSION_PATTERN_LIMIT),
+  };
+}
+
+module.exports = {
+  SESSION_PATTERN_LIMIT,
+  scorePattern,
+  rankPatterns,
+  splitForSession,
+};
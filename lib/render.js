@@ -0,0 +1,211 @@
+/**
+ * Correct Habits - Rendering
+ * Renders the learned_patterns block injected at session start within a token
+ * budget: full examples for the highest-ranked patterns, one line for the next,
+ * and a note naming the ones left out
+ */
+
+const { scopeLabel } = require('./store');
+
+/**
+ * @typedef {import('./store').ScopedPattern} ScopedPattern
+ * @typedef {import('./config').CategoryDefinition} CategoryDefinition
+ */
+
+/**
+ * @typedef {Object} RenderConfig
+ * @property {number} maxTokens - Approximate size the block may take up (see estimateTokens)
+ * @property {boolean} compact - One line per pattern, without examples
+ * @property {number} maxExampleLines - Longer examples are cut to this many lines
+ */
+
+/**
+ * @typedef {Object} RenderResult
+ * @property {string} text - The block, or '' when no pattern fits
+ * @property {ScopedPattern[]} full - Rendered with their examples
+ * @property {ScopedPattern[]} brief - Rendered as one line
+ * @property {ScopedPattern[]} dropped - Left out to stay within the budget
+ */
+
+/** Rough average for English text and code */
+const CHARS_PER_TOKEN = 4;
+
+/** Example lines longer than this are cut */
+const MAX_LINE_LENGTH = 200;
+
+/** Dropped patterns named in the note; the rest are counted */
+const MAX_DROPPED_NAMES = 10;
+
+const HEADER = `
+<learned_patterns priority="high">
+# User's Coding Patterns & Preferences
+These patterns were learned from previous corrections. Follow them strictly.
+Scope shows where each pattern comes from: project overrides team, team overrides user.
+
+`;
+
+const FOOTER = '</learned_patterns>\n';
+
+/**
+ * Approximate token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cut an example to whole lines, saying how much was left out
+ * @param {string} example
+ * @param {number} maxLines
+ * @returns {string}
+ */
+function truncateExample(example, maxLines) {
+  const lines = example.split('\n');
+  const kept = lines
+    .slice(0, maxLines)
+    .map(line => (line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH - 1)}…` : line));
+  if (lines.length > maxLines) {
+    kept.push(`… (${lines.length - maxLines} more lines)`);
+  }
+  return kept.join('\n');
+}
+
+/**
+ * @param {ScopedPattern} p
+ * @returns {string}
+ */
+function patternLabel(p) {
+  const tags = p.tags && p.tags.length > 0 ? `; tags: ${p.tags.join(', ')}` : '';
+  return `${scopeLabel(p)}${tags}`;
+}
+
+/**
+ * @param {string} category
+ * @param {CategoryDefinition[]} categories
+ * @returns {string}
+ */
+function categoryHeading(category, categories) {
+  let output = `## ${category.charAt(0).toUpperCase() + category.slice(1)}\n\n`;
+  const description = categories.find(c => c.name === category)?.description;
+  if (description) {
+    output += `${description}\n\n`;
+  }
+  return output;
+}
+
+/**
+ * A pattern with its examples
+ * @param {ScopedPattern} p
+ * @param {number} maxExampleLines
+ * @returns {string}
+ */
+function fullEntry(p, maxExampleLines) {
+  let output = `### ${p.name} (${patternLabel(p)})\n${p.description}\n\n`;
+  if (p.bad_example) {
+    output += `❌ Don't:\n\`\`\`\n${truncateExample(p.bad_example, maxExampleLines)}\n\`\`\`\n\n`;
+  }
+  if (p.good_example) {
+    output += `✓ Do:\n\`\`\`\n${truncateExample(p.good_example, maxExampleLines)}\n\`\`\`\n\n`;
+  }
+  return output;
+}
+
+/**
+ * A pattern on one line
+ * @param {ScopedPattern} p
+ * @returns {string}
+ */
+function briefEntry(p) {
+  return `- **${p.name}** (${patternLabel(p)}): ${p.description.replace(/\s*\n\s*/g, ' ')}\n`;
+}
+
+/**
+ * Note naming the patterns left out
+ * @param {ScopedPattern[]} dropped
+ * @returns {string}
+ */
+function droppedNote(dropped) {
+  const names = dropped.slice(0, MAX_DROPPED_NAMES).map(p => p.name).join(', ');
+  const more = dropped.length > MAX_DROPPED_NAMES ? ` and ${dropped.length - MAX_DROPPED_NAMES} more` : '';
+  return `Left out to fit the context budget: ${names}${more}. They are still injected when a prompt is relevant to them.\n`;
+}
+
+/**
+ * Render ranked patterns as the learned_patterns block. Every pattern that fits
+ * gets a line first, so coverage comes before detail; then the best ones get
+ * their examples, in rank order, until the first that doesn't fit. The note on
+ * what was left out isn't counted against the budget.
+ * @param {ScopedPattern[]} patterns - Best first (see rankPatterns)
+ * @param {RenderConfig} config
+ * @param {CategoryDefinition[]} [categories] - Config categories, for their descriptions
+ * @returns {RenderResult}
+ */
+function renderLearnedPatterns(patterns, config, categories = []) {
+  /** @type {RenderResult} */
+  const result = { text: '', full: [], brief: [], dropped: [] };
+  if (patterns.length === 0) return result;
+
+  const headings = new Set();
+  let used = estimateTokens(HEADER + FOOTER);
+
+  /** @type {ScopedPattern[]} */
+  const shown = [];
+  for (const p of patterns) {
+    const category = p.category || 'other';
+    const heading = headings.has(category) ? 0 : estimateTokens(categoryHeading(category, categories));
+    const cost = heading + estimateTokens(briefEntry(p));
+    if (used + cost <= config.maxTokens) {
+      used += cost;
+      headings.add(category);
+      shown.push(p);
+    } else {
+      result.dropped.push(p);
+    }
+  }
+  if (shown.length === 0) return result;
+
+  const withExamples = new Set();
+  for (const p of config.compact ? [] : shown) {
+    const extra = estimateTokens(fullEntry(p, config.maxExampleLines)) - estimateTokens(briefEntry(p));
+    if (used + extra > config.maxTokens) break;
+    used += extra;
+    withExamples.add(p);
+  }
+  result.full = shown.filter(p => withExamples.has(p));
+  result.brief = shown.filter(p => !withExamples.has(p));
+
+  // Grouped by category in rank order, examples first within each
+  /** @type {Map<string, { full: string[], brief: string[] }>} */
+  const sections = new Map();
+  for (const p of shown) {
+    const category = p.category || 'other';
+    const section = sections.get(category) || { full: [], brief: [] };
+    if (withExamples.has(p)) {
+      section.full.push(fullEntry(p, config.maxExampleLines));
+    } else {
+      section.brief.push(briefEntry(p));
+    }
+    sections.set(category, section);
+  }
+
+  let output = HEADER;
+  for (const [category, section] of sections) {
+    output += categoryHeading(category, categories) + section.full.join('');
+    if (section.brief.length > 0) {
+      output += `${section.brief.join('')}\n`;
+    }
+  }
+  if (result.dropped.length > 0) {
+    output += droppedNote(result.dropped);
+  }
+  result.text = output + FOOTER;
+  return result;
+}
+
+module.exports = {
+  estimateTokens,
+  truncateExample,
+  renderLearnedPatterns,
+};
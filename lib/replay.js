@@ -0,0 +1,84 @@
+/**
+ * Correct Habits - Replay
+ * Runs a recorded transcript through the correction detector turn by turn, the
+ * way the hooks would have seen it, without touching any state
+ */
+
+const { analyzeMessage } = require('./detector');
+const { buildLastResponse, extractUserText, mergeTurns } = require('./transcript');
+
+/**
+ * @typedef {import('./detector').DetectionResult} DetectionResult
+ * @typedef {import('./signals').Detector} Detector
+ * @typedef {import('./transcript').LastResponse} LastResponse
+ * @typedef {import('./transcript').TranscriptMessage} TranscriptMessage
+ */
+
+/**
+ * @typedef {Object} ReplayedMessage
+ * @property {number} turn - 1-based position among the user's messages
+ * @property {string} [timestamp] - When the message was sent
+ * @property {string} message - What the user typed
+ * @property {boolean} hadContext - Whether Claude's recent responses were fresh enough to use
+ * @property {DetectionResult} detection
+ */
+
+/**
+ * Replay a transcript. As with the Stop hook, each assistant turn is added to the
+ * session's recent responses, and the context for a user message is those
+ * responses merged, as long as the latest is recent enough.
+ * @param {TranscriptMessage[]} transcript
+ * @param {Detector} detector
+ * @returns {ReplayedMessage[]}
+ */
+function replayTranscript(transcript, detector) {
+  /** @type {ReplayedMessage[]} */
+  const replayed = [];
+  /** @type {LastResponse[]} */
+  let turns = [];
+  /** @type {TranscriptMessage[]} */
+  let currentTurn = [];
+
+  for (const entry of transcript) {
+    if (entry?.message?.role === 'assistant') {
+      currentTurn.push(entry);
+      continue;
+    }
+
+    const message = extractUserText(entry);
+    if (!message) continue;
+
+    if (currentTurn.length > 0) {
+      const { timestamp } = currentTurn[currentTurn.length - 1];
+      const turn = buildLastResponse(entry.sessionId || 'replay', currentTurn, timestamp);
+      turns = [...turns, turn].slice(-detector.contextTurns);
+      currentTurn = [];
+    }
+
+    /** @type {LastResponse | null} */
+    let lastResponse = null;
+    const latest = turns[turns.length - 1];
+    if (latest) {
+      const answeredAt = latest.timestamp ? new Date(latest.timestamp).getTime() : NaN;
+      const sentAt = entry.timestamp ? new Date(entry.timestamp).getTime() : NaN;
+      // Without timestamps there's no telling how stale it was; assume it was fresh
+      if (!(sentAt - answeredAt > detector.contextStalenessMs)) {
+        lastResponse = mergeTurns(turns);
+      }
+    }
+
+    replayed.push({
+      turn: replayed.length + 1,
+      ...(entry.timestamp && { timestamp: entry.timestamp }),
+      message,
+      hadContext: lastResponse !== null,
+      detection: analyzeMessage(message, lastResponse, detector),
+    });
+  }
+
+  return replayed;
+}
+
+module.exports = {
+  replayTranscript,
+};
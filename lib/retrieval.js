@@ -0,0 +1,170 @@
+/**
+ * Correct Habits - Retrieval
+ * Local BM25 search for the patterns relevant to a prompt
+ */
+
+const { tokenize } = require('./similarity');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ * @typedef {import('./store').PatternCategory} PatternCategory
+ */
+
+/**
+ * @typedef {Object} RelevantMatch
+ * @property {Pattern} pattern
+ * @property {number} score
+ */
+
+/**
+ * @typedef {Object} PromptQuery
+ * @property {string[]} terms - Search terms from keywords, extensions and paths
+ * @property {Set<string>} categories - Categories the prompt is about
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const CATEGORY_BOOST = 1.5;
+
+/**
+ * File extensions and the language words patterns tend to use for them
+ * @type {Record<string, string[]>}
+ */
+const EXTENSION_TERMS = {
+  ts: ['typescript', 'ts'],
+  tsx: ['typescript', 'tsx', 'react', 'component'],
+  js: ['javascript', 'js'],
+  jsx: ['javascript', 'jsx', 'react', 'component'],
+  mjs: ['javascript', 'esm', 'module'],
+  cjs: ['javascript', 'commonjs', 'require'],
+  py: ['python'],
+  rb: ['ruby'],
+  go: ['golang'],
+  rs: ['rust'],
+  java: ['java'],
+  kt: ['kotlin'],
+  swift: ['swift'],
+  css: ['css', 'style'],
+  scss: ['scss', 'sass', 'css'],
+  sql: ['sql', 'query', 'database'],
+  sh: ['shell', 'bash', 'script'],
+  md: ['markdown', 'doc'],
+  json: ['json', 'config'],
+  yml: ['yaml', 'config'],
+  yaml: ['yaml', 'config'],
+};
+
+/**
+ * Prompt wording that points at a category
+ * @type {{ pattern: RegExp, category: PatternCategory }[]}
+ */
+const CATEGORY_CUES = [
+  { pattern: /\b(tests?|specs?|mock\w*|fixtures?|coverage)\b|\.(test|spec)\.\w+/i, category: 'testing' },
+  { pattern: /\b(rename|naming|name[ds]?)\b/i, category: 'naming' },
+  { pattern: /\b(imports?|require|dependenc(y|ies)|modules?)\b/i, category: 'imports' },
+  { pattern: /\b(errors?|exceptions?|throws?|catch|try|fail\w*|retr(y|ies))\b/i, category: 'error-handling' },
+  { pattern: /\b(refactor|structure|architecture|folders?|director(y|ies)|layers?|services?)\b/i, category: 'architecture' },
+  { pattern: /\b(format\w*|lint\w*|style|indent\w*|prettier|eslint)\b/i, category: 'style' },
+  { pattern: /\b(npm|pnpm|yarn|npx|install\w*|build|deploy\w*|scripts?|commands?|git|commit|push|docker|makefile)\b/i, category: 'tooling' },
+];
+
+const PATH_PATTERN = /(?:[\w@.-]+\/)*[\w@-]+\.([a-z0-9]{1,6})\b/gi;
+
+/**
+ * Turn a prompt into search terms and category cues
+ * @param {string} prompt
+ * @returns {PromptQuery}
+ */
+function buildQuery(prompt) {
+  const terms = tokenize(prompt);
+  const categories = new Set();
+
+  for (const match of prompt.matchAll(PATH_PATTERN)) {
+    const extension = match[1].toLowerCase();
+    terms.push(...(EXTENSION_TERMS[extension] || []));
+    // Directory and file names ("components/Button.tsx") are useful keywords too
+    terms.push(...tokenize(match[0].replace(/\.[a-z0-9]+$/i, '')));
+  }
+
+  for (const cue of CATEGORY_CUES) {
+    if (cue.pattern.test(prompt)) {
+      categories.add(cue.category);
+    }
+  }
+
+  return { terms: [...new Set(terms)], categories };
+}
+
+/**
+ * Searchable tokens for a pattern. The name is repeated so it weighs more than examples.
+ * @param {Pattern} pattern
+ * @returns {string[]}
+ */
+function patternTerms(pattern) {
+  const nameTokens = tokenize(pattern.name);
+  return [
+    ...nameTokens,
+    ...nameTokens,
+    ...tokenize(pattern.category),
+    ...tokenize((pattern.tags || []).join(' ')),
+    ...tokenize(pattern.description),
+    ...tokenize(pattern.bad_example),
+    ...tokenize(pattern.good_example),
+  ];
+}
+
+/**
+ * Rank patterns by relevance to a prompt
+ * @param {string} prompt - User's prompt
+ * @param {Pattern[]} patterns - Candidate patterns
+ * @param {number} [limit] - Maximum matches to return
+ * @returns {RelevantMatch[]} Matches with a positive score, best first
+ */
+function findRelevant(prompt, patterns, limit = 5) {
+  if (patterns.length === 0) return [];
+
+  const query = buildQuery(prompt);
+  const docs = patterns.map(patternTerms);
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+  /** @type {Map<string, number>} */
+  const docFrequency = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) {
+      docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const matches = patterns.map((pattern, i) => {
+    const doc = docs[i];
+    /** @type {Map<string, number>} */
+    const termCounts = new Map();
+    doc.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+
+    let score = 0;
+    for (const term of query.terms) {
+      const tf = termCounts.get(term);
+      if (!tf) continue;
+      const df = docFrequency.get(term) || 0;
+      const idf = Math.log(1 + (patterns.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    }
+
+    // Category cues only sharpen keyword matches; on their own they'd match every pattern in the category
+    if (score > 0 && query.categories.has(pattern.category)) {
+      score += CATEGORY_BOOST;
+    }
+
+    return { pattern, score };
+  });
+
+  return matches
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  buildQuery,
+  findRelevant,
+};
@@ -0,0 +1,284 @@
+/**
+ * Correct Habits - Rules
+ * Machine-checkable pattern rules and the checks that run them against written code
+ */
+
+const path = require('path');
+const { languageOf } = require('./applies-to');
+const { queryCode } = require('./ast');
+const { matchesAny } = require('./glob');
+const { getProjectRoot } = require('./paths');
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ */
+
+/**
+ * @typedef {Object} PatternRule
+ * @property {string} [forbidden] - Regex that must NOT match written code ("source" or "/source/flags")
+ * @property {string} [required] - Regex the whole file must match
+ * @property {string} [selector] - ESLint-style AST selector for forbidden JS/TS constructs
+ * @property {string[]} [include] - Globs of files the rule applies to, relative to the repository root (default: all)
+ * @property {string[]} [exclude] - Globs of files the rule never applies to
+ */
+
+/**
+ * @typedef {'warn' | 'block'} Enforcement
+ */
+
+/**
+ * @typedef {Object} CheckTarget
+ * @property {string} code - Code that was just written
+ * @property {string} [file] - Path of the file it was written to
+ * @property {string} [fileContent] - Full file content after the write, when known
+ * @property {string} [cwd] - Project directory, for relative globs and resolving the parser
+ */
+
+/**
+ * @typedef {Object} Violation
+ * @property {Pattern} pattern - Pattern that was broken
+ * @property {'forbidden' | 'required' | 'selector'} kind - Which rule field failed
+ * @property {number} line - 1-based line in the file (or in the code when the file is unknown)
+ * @property {string} excerpt - The offending line
+ */
+
+/** @type {Enforcement[]} */
+const ENFORCEMENT_LEVELS = ['warn', 'block'];
+
+/**
+ * Compile a rule regex. Plain sources get the "m" flag so ^ and $ work per line.
+ * @param {string} source - "source" or "/source/flags"
+ * @returns {RegExp}
+ * @throws {SyntaxError} If the regex is invalid
+ */
+function parseRegex(source) {
+  const literal = /^\/([\s\S]+)\/([a-z]*)$/.exec(source);
+  if (literal) {
+    return new RegExp(literal[1], literal[2]);
+  }
+  return new RegExp(source, 'm');
+}
+
+/**
+ * Check a rule's shape and regexes. Selector syntax needs the project's parser, so
+ * it's checked when a pattern is saved (see validateSelector) rather than here:
+ * whether a store is valid mustn't depend on where it's read from.
+ * @param {unknown} rule
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['rule must be an object'];
+  }
+
+  const errors = [];
+  const { forbidden, required, selector, include, exclude } = /** @type {PatternRule} */ (rule);
+
+  for (const [field, source] of [['forbidden', forbidden], ['required', required]]) {
+    if (source === undefined) continue;
+    if (typeof source !== 'string' || !source) {
+      errors.push(`rule.${field} must be a non-empty regex string`);
+      continue;
+    }
+    try {
+      parseRegex(source);
+    } catch (err) {
+      errors.push(`rule.${field} is not a valid regex (${err.message})`);
+    }
+  }
+
+  if (selector !== undefined) {
+    if (typeof selector !== 'string' || !selector) {
+      errors.push('rule.selector must be a non-empty string');
+    }
+  }
+
+  for (const [field, globs] of [['include', include], ['exclude', exclude]]) {
+    if (globs !== undefined && (!Array.isArray(globs) || globs.some(g => typeof g !== 'string' || !g))) {
+      errors.push(`rule.${field} must be an array of glob strings`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a pattern has anything to check automatically
+ * @param {Pattern} pattern
+ * @returns {boolean}
+ */
+function isCheckable(pattern) {
+  const rule = pattern.rule;
+  return Boolean(rule && (rule.forbidden || rule.required || rule.selector));
+}
+
+/**
+ * Whether a rule's include/exclude globs cover a file
+ * @param {PatternRule} rule
+ * @param {string} [file] - Absolute or repository-relative path
+ * @param {string} [cwd] - Directory in the project
+ * @returns {boolean}
+ */
+function ruleAppliesToFile(rule, file, cwd = process.cwd()) {
+  if (!file) {
+    // Without a file name, only rules that aren't limited to certain files apply
+    return !rule.include || rule.include.length === 0;
+  }
+
+  const relative = path.isAbsolute(file) ? path.relative(getProjectRoot(cwd), file) : file;
+  if (rule.include && rule.include.length > 0 && !matchesAny(relative, rule.include)) {
+    return false;
+  }
+  return !(rule.exclude && matchesAny(relative, rule.exclude));
+}
+
+/**
+ * 1-based line number of a string offset
+ * @param {string} text
+ * @param {number} index
+ * @returns {number}
+ */
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Check written code against one pattern's rule
+ * @param {Pattern} pattern
+ * @param {CheckTarget} target
+ * @returns {Violation | null} The first violation, or null when the code complies
+ */
+function checkPattern(pattern, target) {
+  if (!isCheckable(pattern)) return null;
+
+  const { rule } = pattern;
+  const { code, file, fileContent, cwd } = target;
+  if (!ruleAppliesToFile(rule, file, cwd)) return null;
+
+  // Locate the written code in the file so line numbers and AST matches refer to the file
+  const offset = fileContent ? fileContent.indexOf(code) : -1;
+  const text = offset >= 0 ? fileContent : code;
+  const base = offset >= 0 ? offset : 0;
+
+  /**
+   * @param {Violation['kind']} kind
+   * @param {number} index - Offset in `text`
+   * @returns {Violation}
+   */
+  const violation = (kind, index) => {
+    const line = lineAt(text, index);
+    return { pattern, kind, line, excerpt: text.split('\n')[line - 1].trim() };
+  };
+
+  if (rule.forbidden) {
+    try {
+      const match = parseRegex(rule.forbidden).exec(code);
+      if (match) return violation('forbidden', base + match.index);
+    } catch {
+      // Invalid regexes are rejected on save; ignore any that slipped through
+    }
+  }
+
+  if (rule.selector) {
+    const matches = queryCode(text, rule.selector, { fileName: file, cwd });
+    // Only report constructs inside the code that was just written
+    const hit = matches && matches.find(m => m.start >= base && m.end <= base + code.length);
+    if (hit) return violation('selector', hit.start);
+  }
+
+  // A required match can only be judged against the whole file
+  if (rule.required && fileContent !== undefined) {
+    try {
+      if (!parseRegex(rule.required).test(fileContent)) {
+        return { pattern, kind: 'required', line: 1, excerpt: `missing /${rule.required}/` };
+      }
+    } catch {
+      // See above
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check written code against every checkable pattern
+ * @param {Pattern[]} patterns
+ * @param {CheckTarget} target
+ * @returns {Violation[]}
+ */
+function checkCode(patterns, target) {
+  return patterns
+    .map(pattern => checkPattern(pattern, target))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a pattern's rule has anything to say about a file: its globs cover the
+ * file, and a selector-only rule needs JS or TS. A pattern without a rule covers
+ * every file.
+ * @param {Pattern} pattern
+ * @param {string} [file]
+ * @param {string} [cwd]
+ * @returns {boolean}
+ */
+function ruleCoversFile(pattern, file, cwd) {
+  const { rule } = pattern;
+  if (!rule) return true;
+  if (!ruleAppliesToFile(rule, file, cwd)) return false;
+  if (rule.selector && !rule.forbidden && !rule.required && file) {
+    return ['javascript', 'typescript'].includes(languageOf(file));
+  }
+  return true;
+}
+
+/**
+ * @typedef {Object} RuleTestResult
+ * @property {boolean | null} badCaught - Whether bad_example is flagged (null: no bad_example)
+ * @property {boolean | null} goodPasses - Whether good_example passes (null: no good_example)
+ * @property {boolean} selectorChecked - False when a selector couldn't be evaluated (no parser, unparseable example)
+ */
+
+/**
+ * Run a pattern's rule against its own examples, to confirm the rule means what it should
+ * @param {Pattern} pattern
+ * @param {string} [cwd] - Project directory, for resolving the parser
+ * @returns {RuleTestResult}
+ */
+function testRuleAgainstExamples(pattern, cwd) {
+  // Examples aren't tied to a file, so ignore include/exclude here
+  const { include, exclude, ...rule } = pattern.rule || {};
+  const unscoped = { ...pattern, rule };
+  let selectorChecked = !rule.selector;
+
+  /**
+   * @param {string} example
+   * @returns {boolean}
+   */
+  const flags = example => {
+    if (rule.selector && queryCode(example, rule.selector, { cwd }) !== null) {
+      selectorChecked = true;
+    }
+    return checkPattern(unscoped, { code: example, fileContent: example, cwd }) !== null;
+  };
+
+  const badCaught = pattern.bad_example ? flags(pattern.bad_example) : null;
+  const goodPasses = pattern.good_example ? !flags(pattern.good_example) : null;
+
+  // A selector-only rule that couldn't be evaluated says nothing about the examples
+  if (!selectorChecked && !rule.forbidden && !rule.required) {
+    return { badCaught: null, goodPasses: null, selectorChecked };
+  }
+  return { badCaught, goodPasses, selectorChecked };
+}
+
+module.exports = {
+  ENFORCEMENT_LEVELS,
+  parseRegex,
+  validateRule,
+  isCheckable,
+  ruleAppliesToFile,
+  checkPattern,
+  checkCode,
+  ruleCoversFile,
+  testRuleAgainstExamples,
+};
@@ -0,0 +1,322 @@
+/**
+ * Correct Habits - Correction Signals
+ * Built-in phrases that mark a message as a correction (or as one not to learn
+ * from), and the detector settings built from them plus the user's config
+ */
+
+/**
+ * @typedef {import('./store').PatternCategory} PatternCategory
+ */
+
+/**
+ * @typedef {Object} CorrectionSignal
+ * @property {string} id - Stable id, used to override or disable it in config
+ * @property {RegExp} pattern
+ * @property {number} weight - Higher = stronger signal (0-1)
+ * @property {PatternCategory} [categoryHint] - Likely category if matched
+ */
+
+/**
+ * @typedef {Object} ResponseContext
+ * @property {string} response - Claude's last message text
+ * @property {string} codeWritten - Code Claude wrote
+ * @property {string[]} [commandsRun] - Bash commands Claude ran
+ * @property {string[]} [toolInputs] - Other tools' inputs as "Tool: input"
+ */
+
+/**
+ * @typedef {Object} ContextAwareSignal
+ * @property {string} id - Stable id, used to override or disable it in config
+ * @property {RegExp} userPattern - Pattern to match in user message
+ * @property {number} weight - Base weight without context
+ * @property {number} contextWeight - Weight when context validates
+ * @property {function(RegExpMatchArray, ResponseContext): boolean} [responseCheck] - Validates against response
+ */
+
+/**
+ * @typedef {Object} SkipSignal
+ * @property {string} id - Stable id, used to disable it in config
+ * @property {RegExp} pattern
+ */
+
+/**
+ * @typedef {Object} SignalOverride
+ * @property {string} id - A built-in signal's id to override it, or a new id to add a correction signal
+ * @property {string} [pattern] - Regex source, matched case-insensitively (required for new signals)
+ * @property {number} [weight]
+ * @property {number} [contextWeight] - Context-aware signals only
+ * @property {PatternCategory} [category] - Category hint
+ */
+
+/**
+ * @typedef {Object} TagHint
+ * @property {string} tag
+ * @property {string} pattern - Regex source, matched case-insensitively
+ */
+
+/**
+ * @typedef {Object} TagSignal
+ * @property {string} tag - Tag suggested when the pattern matches
+ * @property {RegExp} pattern
+ */
+
+/**
+ * @typedef {Object} DetectorConfig
+ * @property {number} minConfidence - Score a message needs to count as a correction
+ * @property {number} minMessageLength - Shorter messages aren't scored
+ * @property {number} contextStalenessMinutes - Age after which Claude's last response no longer counts as context
+ * @property {number} contextTurns - Recent responses per session kept as context
+ * @property {SignalOverride[]} signals - Added and overridden signals
+ * @property {string[]} skipSignals - Extra regex sources that stop a message from being learned
+ * @property {string[]} disable - Ids of built-in signals to turn off
+ * @property {TagHint[]} tagHints - From the hints of the config's tags; they suggest tags without adding to the score
+ */
+
+/**
+ * @typedef {Object} Detector
+ * @property {CorrectionSignal[]} correctionSignals
+ * @property {ContextAwareSignal[]} contextAwareSignals
+ * @property {SkipSignal[]} skipSignals
+ * @property {TagSignal[]} tagSignals
+ * @property {number} minConfidence
+ * @property {number} minMessageLength
+ * @property {number} contextStalenessMs
+ * @property {number} contextTurns
+ */
+
+/**
+ * Signals that indicate user does NOT want this learned
+ * @type {SkipSignal[]}
+ */
+const SKIP_SIGNALS = [
+  { id: 'just-this-once', pattern: /just\s*(this\s*)?(once|time|here|case)/i },
+  { id: 'only-this', pattern: /only\s*(for\s*)?(this|here|now)/i },
+  { id: 'this-specific-case', pattern: /this\s*(specific|particular)\s*(case|instance|time)/i },
+  { id: 'dont-remember', pattern: /don'?t\s*(remember|learn|save)\s*(this|that)/i },
+  { id: 'exception', pattern: /exception/i },
+  { id: 'one-off', pattern: /one-?off/i },
+  { id: 'temporary', pattern: /temporary|temp\s+fix/i },
+];
+
+/**
+ * Weighted correction signals - higher weight = stronger indicator
+ * @type {CorrectionSignal[]}
+ */
+const CORRECTION_SIGNALS = [
+  // Strong signals (0.8-1.0) - explicit conventions/standards
+  { id: 'we-always-never', pattern: /\b(we|our)\s+(always|never)\b/i, weight: 0.95 },
+  { id: 'our-convention', pattern: /\b(our|the)\s+(convention|standard|pattern|style|approach)\b/i, weight: 0.9 },
+  { id: 'team-standard', pattern: /\b(company|team|project)\s+(standard|convention|rule)/i, weight: 0.9 },
+  { id: 'we-dont-use', pattern: /\bwe\s+(don'?t|do not)\s+(use|allow|permit)/i, weight: 0.85 },
+  { id: 'always-use', pattern: /\balways\s+use\b/i, weight: 0.8 },
+  { id: 'never-use', pattern: /\bnever\s+use\b/i, weight: 0.8 },
+
+  // Medium signals (0.5-0.7) - preferences and corrections
+  { id: 'instead-of', pattern: /\binstead\s+(of|use)\b/i, weight: 0.7 },
+  { id: 'prefer-over', pattern: /\bprefer\s+\w+\s+(over|to|instead)/i, weight: 0.7 },
+  { id: 'should-always-never', pattern: /\bshould\s+(always|never)\b/i, weight: 0.65 },
+  { id: 'i-always-never', pattern: /\bi\s+(always|never|prefer)\b/i, weight: 0.6 },
+  { id: 'thats-not', pattern: /\bthat'?s\s+(not|wrong|incorrect)\b/i, weight: 0.55 },
+  { id: 'wrong-approach', pattern: /\bwrong\s+(approach|pattern|way)\b/i, weight: 0.55 },
+  { id: 'dont-do-that', pattern: /\bdon'?t\s+(do|use|write)\s+(it\s+)?(like\s+)?that\b/i, weight: 0.5 },
+
+  // Weak signals (0.2-0.4) - might be one-off fixes
+  { id: 'please-dont', pattern: /\bplease\s+(don'?t|change|use)\b/i, weight: 0.35 },
+  { id: 'should-be', pattern: /\bshould\s+(be|have|use)\b/i, weight: 0.3 },
+  { id: 'no-actually', pattern: /\bno,?\s*(actually|don'?t)\b/i, weight: 0.3 },
+  { id: 'fix-this', pattern: /\bfix\s+(this|that|the)\b/i, weight: 0.2 },
+
+  // Category-specific signals with hints
+  { id: 'naming', pattern: /\b(name|naming|call\s+it|rename)\b/i, weight: 0.4, categoryHint: 'naming' },
+  { id: 'imports', pattern: /\b(import|require|from\s+['"])/i, weight: 0.4, categoryHint: 'imports' },
+  { id: 'testing', pattern: /\b(test|spec|describe|it\s*\()/i, weight: 0.4, categoryHint: 'testing' },
+  { id: 'error-handling', pattern: /\b(try|catch|throw|error|exception)\b/i, weight: 0.35, categoryHint: 'error-handling' },
+  { id: 'architecture', pattern: /\b(folder|directory|structure|organize)/i, weight: 0.35, categoryHint: 'architecture' },
+  { id: 'style', pattern: /\b(format|indent|spacing|style|prettier|eslint)/i, weight: 0.35, categoryHint: 'style' },
+  // Tool names only after a verb ("use pnpm", "not npm"): "make the page faster" and "a git url" aren't corrections
+  { id: 'tooling', pattern: /\b(use|using|run|running|with|via|not)\s+(npm|pnpm|npx|yarn|bun|pip|poetry|cargo|make|git|docker)\b/i, weight: 0.3, categoryHint: 'tooling' },
+];
+
+/**
+ * Whether Claude's recent responses, code, commands or tool inputs mention a term
+ * @param {ResponseContext} response
+ * @param {string} term
+ * @returns {boolean}
+ */
+function responseMentions(response, term) {
+  const text = [response.response, response.codeWritten, ...(response.commandsRun || []), ...(response.toolInputs || [])];
+  return text.join(' ').toLowerCase().includes(term.toLowerCase());
+}
+
+/**
+ * Context-aware signals - patterns that are ambiguous alone but strong with context
+ * @type {ContextAwareSignal[]}
+ */
+const CONTEXT_AWARE_SIGNALS = [
+  // "that's not what/how I meant/wanted" - strong if we have context
+  {
+    id: 'not-what-i-meant',
+    userPattern: /\bthat'?s\s+not\s+(what|how)\s+I\s+(meant|wanted)/i,
+    weight: 0.3,
+    contextWeight: 0.75,
+  },
+  // "why did you use/write/put" - questioning Claude's choice
+  {
+    id: 'why-did-you',
+    userPattern: /\bwhy\s+did\s+you\s+(use|write|put|add|create)/i,
+    weight: 0.4,
+    contextWeight: 0.8,
+  },
+  // "instead of X" - check if X is in Claude's response
+  {
+    id: 'instead-of-quoted',
+    userPattern: /\binstead\s+of\s+[`'"]([\w\-_.]+)[`'"]/i,
+    weight: 0.5,
+    contextWeight: 0.85,
+    responseCheck: (match, response) => responseMentions(response, match[1]),
+  },
+  // "use X instead" - suggest alternative to what Claude used
+  {
+    id: 'use-quoted-instead',
+    userPattern: /\buse\s+[`'"]([\w\-_.]+)[`'"]\s+instead/i,
+    weight: 0.5,
+    contextWeight: 0.85,
+    // Strong signal if suggested is NOT in response (Claude used something else)
+    responseCheck: (match, response) => !responseMentions(response, match[1]),
+  },
+  // "no, actually..." - disagreement with context
+  {
+    id: 'no-actually-context',
+    userPattern: /\bno,?\s*(actually|don'?t|stop)/i,
+    weight: 0.25,
+    contextWeight: 0.65,
+  },
+  // "that's wrong/incorrect" - explicit disagreement
+  {
+    id: 'thats-wrong-context',
+    userPattern: /\bthat'?s\s+(wrong|incorrect|not\s+right)/i,
+    weight: 0.4,
+    contextWeight: 0.8,
+  },
+  // "don't use X" - check if X was used
+  {
+    id: 'dont-use-quoted',
+    userPattern: /\bdon'?t\s+use\s+[`'"]([\w\-_.]+)[`'"]/i,
+    weight: 0.45,
+    contextWeight: 0.85,
+    responseCheck: (match, response) => responseMentions(response, match[1]),
+  },
+  // "never run `git push --force`" - check if Claude ran it
+  {
+    id: 'dont-run-quoted',
+    userPattern: /\b(?:never|don'?t|do\s+not)\s+(?:run\s+)?`([^`]+)`/i,
+    weight: 0.45,
+    contextWeight: 0.85,
+    responseCheck: (match, response) => responseMentions(response, match[1]),
+  },
+  // "we use pnpm, not npm" - check if Claude used the rejected one
+  {
+    id: 'use-x-not-y',
+    userPattern: /\b(?:use|run)\s+[`'"]?([\w\-.]+)[`'"]?,?\s+not\s+[`'"]?([\w\-.]+)/i,
+    weight: 0.5,
+    contextWeight: 0.85,
+    responseCheck: (match, response) => responseMentions(response, match[2]),
+  },
+  // "change X to Y" - specific replacement request
+  {
+    id: 'change-quoted-to',
+    userPattern: /\bchange\s+[`'"]([\w\-_.]+)[`'"]\s+to\s+[`'"]([\w\-_.]+)[`'"]/i,
+    weight: 0.5,
+    contextWeight: 0.85,
+    responseCheck: (match, response) => responseMentions(response, match[1]),
+  },
+];
+
+/** @type {DetectorConfig} */
+const DEFAULT_DETECTOR_CONFIG = {
+  minConfidence: 0.4,
+  minMessageLength: 15,
+  contextStalenessMinutes: 5,
+  contextTurns: 5,
+  signals: [],
+  skipSignals: [],
+  disable: [],
+  tagHints: [],
+};
+
+/**
+ * Kind of built-in signal an id belongs to
+ * @param {string} id
+ * @returns {'correction' | 'context' | 'skip' | undefined}
+ */
+function builtinSignalKind(id) {
+  if (CORRECTION_SIGNALS.some(s => s.id === id)) return 'correction';
+  if (CONTEXT_AWARE_SIGNALS.some(s => s.id === id)) return 'context';
+  if (SKIP_SIGNALS.some(s => s.id === id)) return 'skip';
+  return undefined;
+}
+
+/**
+ * Build the detector from a validated config (see loadConfig)
+ * @param {DetectorConfig} [config]
+ * @returns {Detector}
+ */
+function buildDetector(config = DEFAULT_DETECTOR_CONFIG) {
+  const disabled = new Set(config.disable);
+  const overrides = new Map(config.signals.map(s => [s.id, s]));
+
+  const correctionSignals = CORRECTION_SIGNALS.filter(s => !disabled.has(s.id)).map(signal => {
+    const override = overrides.get(signal.id);
+    if (!override) return signal;
+    return {
+      id: signal.id,
+      pattern: override.pattern ? new RegExp(override.pattern, 'i') : signal.pattern,
+      weight: override.weight ?? signal.weight,
+      ...((override.category || signal.categoryHint) && { categoryHint: override.category || signal.categoryHint }),
+    };
+  });
+  for (const override of config.signals) {
+    if (builtinSignalKind(override.id) || disabled.has(override.id)) continue;
+    correctionSignals.push({
+      id: override.id,
+      pattern: new RegExp(override.pattern, 'i'),
+      weight: override.weight,
+      ...(override.category && { categoryHint: override.category }),
+    });
+  }
+
+  const contextAwareSignals = CONTEXT_AWARE_SIGNALS.filter(s => !disabled.has(s.id)).map(signal => {
+    const override = overrides.get(signal.id);
+    if (!override) return signal;
+    return {
+      ...signal,
+      weight: override.weight ?? signal.weight,
+      contextWeight: override.contextWeight ?? signal.contextWeight,
+    };
+  });
+
+  const skipSignals = [
+    ...SKIP_SIGNALS.filter(s => !disabled.has(s.id)),
+    ...config.skipSignals.map((source, i) => ({ id: `custom-skip-${i + 1}`, pattern: new RegExp(source, 'i') })),
+  ];
+
+  return {
+    correctionSignals,
+    contextAwareSignals,
+    skipSignals,
+    tagSignals: config.tagHints.map(hint => ({ tag: hint.tag, pattern: new RegExp(hint.pattern, 'i') })),
+    minConfidence: config.minConfidence,
+    minMessageLength: config.minMessageLength,
+    contextStalenessMs: config.contextStalenessMinutes * 60 * 1000,
+    contextTurns: config.contextTurns,
+  };
+}
+
+module.exports = {
+  SKIP_SIGNALS,
+  CORRECTION_SIGNALS,
+  CONTEXT_AWARE_SIGNALS,
+  DEFAULT_DETECTOR_CONFIG,
+  builtinSignalKind,
+  buildDetector,
+};
@@ -0,0 +1,235 @@
+/**
+ * Correct Habits - Similarity
+ * Near-duplicate and contradiction detection between patterns
+ */
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ */
+
+/**
+ * @typedef {Object} SimilarMatch
+ * @property {Pattern} pattern - Existing pattern
+ * @property {number} score - Similarity 0-1
+ */
+
+/**
+ * @typedef {Object} Conflict
+ * @property {Pattern} a - Pattern requiring the term
+ * @property {Pattern} b - Pattern forbidding the term
+ * @property {string} term - The thing one pattern asks for and the other forbids
+ */
+
+const DUPLICATE_THRESHOLD = 0.5;
+
+/**
+ * Words that carry no subject matter. Polarity words are here too: they decide
+ * direction (see extractDirectives), not topic.
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'as', 'at', 'is', 'are', 'be',
+  'it', 'its', 'this', 'that', 'when', 'than', 'then', 'instead', 'over', 'rather', 'only', 'all', 'any',
+  'use', 'using', 'used', 'prefer', 'always', 'never', 'avoid', 'not', 'no', 'don', 't', 'do', 'dont',
+  'should', 'must', 'we', 'our', 'you', 'your', 'default', 'code',
+]);
+
+/** Conditional allowances ("only use let when ...") that neither ask for nor forbid a term */
+const CONDITIONAL_DIRECTIVE = /\bonly\s+(?:use\s+)?[`'"]?[\w.$]+[`'"]?\s+(?:when|if|for|in)\b/gi;
+
+/** Phrases that forbid the word that follows them */
+const NEGATIVE_DIRECTIVE = /\b(?:never(?:\s+use)?|avoid(?:\s+using)?|don'?t(?:\s+use)?|do\s+not(?:\s+use)?|no|instead\s+of|over|rather\s+than)\s+[`'"]?([\w.$]+)/gi;
+
+/** Phrases that ask for the word that follows them */
+const POSITIVE_DIRECTIVE = /\b(?:always(?:\s+use)?|prefer|use|require)\s+[`'"]?([\w.$]+)/gi;
+
+/**
+ * Split text into lowercase subject tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9$]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    // Crude plural folding so "semicolons" matches "semicolon"
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} Jaccard index 0-1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number} Cosine similarity of token counts 0-1
+ */
+function cosine(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  /** @type {Map<string, number>} */
+  const countsA = new Map();
+  /** @type {Map<string, number>} */
+  const countsB = new Map();
+  a.forEach(token => countsA.set(token, (countsA.get(token) || 0) + 1));
+  b.forEach(token => countsB.set(token, (countsB.get(token) || 0) + 1));
+
+  let dot = 0;
+  for (const [token, count] of countsA) {
+    dot += count * (countsB.get(token) || 0);
+  }
+  const norm = counts => Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0));
+  return dot / (norm(countsA) * norm(countsB));
+}
+
+/**
+ * Score how alike two patterns are, looking at name, description and examples
+ * @param {Pick<Pattern, 'name' | 'description'> & Partial<Pattern>} a
+ * @param {Pick<Pattern, 'name' | 'description'> & Partial<Pattern>} b
+ * @returns {number} 0-1
+ */
+function patternSimilarity(a, b) {
+  const nameScore = jaccard(new Set(tokenize(a.name)), new Set(tokenize(b.name)));
+  const descriptionScore = cosine(tokenize(a.description), tokenize(b.description));
+
+  const examplesA = tokenize(`${a.bad_example || ''} ${a.good_example || ''}`);
+  const examplesB = tokenize(`${b.bad_example || ''} ${b.good_example || ''}`);
+
+  // Only weigh examples when both sides have them, so a missing example isn't a mismatch
+  if (examplesA.length > 0 && examplesB.length > 0) {
+    return nameScore * 0.35 + descriptionScore * 0.4 + cosine(examplesA, examplesB) * 0.25;
+  }
+  return nameScore * 0.45 + descriptionScore * 0.55;
+}
+
+/**
+ * Find existing patterns that look like duplicates of a new one
+ * @param {Pick<Pattern, 'name' | 'description'> & Partial<Pattern>} pattern - Pattern about to be saved
+ * @param {Pattern[]} existing - Patterns already stored
+ * @param {number} [threshold]
+ * @returns {SimilarMatch[]} Matches, most similar first
+ */
+function findSimilar(pattern, existing, threshold = DUPLICATE_THRESHOLD) {
+  return existing
+    .filter(p => p.id !== pattern.id)
+    .map(p => ({ pattern: p, score: patternSimilarity(pattern, p) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pull out what a pattern asks for (+1) and forbids (-1)
+ * @param {Pick<Pattern, 'name' | 'description'>} pattern
+ * @returns {Map<string, number>} Term -> direction
+ */
+function extractDirectives(pattern) {
+  let text = `${pattern.name.replace(/-/g, ' ')}. ${pattern.description}`;
+  /** @type {Map<string, number>} */
+  const directives = new Map();
+
+  /**
+   * @param {string} term
+   * @param {number} sign
+   */
+  const record = (term, sign) => {
+    const [token] = tokenize(term);
+    if (!token) return;
+    // A term that is both asked for and forbidden is ambiguous - ignore it
+    directives.set(token, directives.has(token) && directives.get(token) !== sign ? 0 : sign);
+  };
+
+  text = text.replace(CONDITIONAL_DIRECTIVE, match => ' '.repeat(match.length));
+
+  // Negatives first, masked out so "never use var" doesn't also read as "use var"
+  text = text.replace(NEGATIVE_DIRECTIVE, (match, term) => {
+    record(term, -1);
+    return ' '.repeat(match.length);
+  });
+  for (const match of text.matchAll(POSITIVE_DIRECTIVE)) {
+    record(match[1], 1);
+  }
+
+  for (const [term, sign] of directives) {
+    if (sign === 0) directives.delete(term);
+  }
+  return directives;
+}
+
+/**
+ * Find the terms on which two patterns contradict each other
+ * @param {Pattern} a
+ * @param {Pattern} b
+ * @returns {Conflict[]}
+ */
+function findContradictions(a, b) {
+  const directivesA = extractDirectives(a);
+  const directivesB = extractDirectives(b);
+  /** @type {Conflict[]} */
+  const conflicts = [];
+
+  for (const [term, sign] of directivesA) {
+    if (directivesB.get(term) === -sign) {
+      conflicts.push(sign > 0 ? { a, b, term } : { a: b, b: a, term });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Find contradicting pairs across a set of patterns
+ * @param {Pattern[]} patterns
+ * @returns {Conflict[]}
+ */
+function findConflicts(patterns) {
+  /** @type {Conflict[]} */
+  const conflicts = [];
+  for (let i = 0; i < patterns.length; i++) {
+    for (let j = i + 1; j < patterns.length; j++) {
+      conflicts.push(...findContradictions(patterns[i], patterns[j]));
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Find near-duplicate pairs across a set of patterns
+ * @param {Pattern[]} patterns
+ * @param {number} [threshold]
+ * @returns {{ a: Pattern, b: Pattern, score: number }[]}
+ */
+function findDuplicates(patterns, threshold = DUPLICATE_THRESHOLD) {
+  const duplicates = [];
+  for (let i = 0; i < patterns.length; i++) {
+    for (let j = i + 1; j < patterns.length; j++) {
+      const score = patternSimilarity(patterns[i], patterns[j]);
+      if (score >= threshold) {
+        duplicates.push({ a: patterns[i], b: patterns[j], score });
+      }
+    }
+  }
+  return duplicates.sort((x, y) => y.score - x.score);
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  tokenize,
+  cosine,
+  patternSimilarity,
+  findSimilar,
+  extractDirectives,
+  findContradictions,
+  findConflicts,
+  findDuplicates,
+};
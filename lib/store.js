@@ -0,0 +1,542 @@
+/**
+ * Correct Habits - Pattern Store
+ * Single entry point for reading and writing patterns.json: schema validation,
+ * version migrations, locking and atomic writes
+ */
+
+const fs = require('fs');
+const { validateAppliesTo } = require('./applies-to');
+const { readJson, withLock, writeJsonAtomic } = require('./files');
+const { diffStores, recordHistory } = require('./history');
+const { SCOPES, getPatternsFile, getScopeStores, getTeamUsageFile } = require('./paths');
+const { ENFORCEMENT_LEVELS, validateRule } = require('./rules');
+
+/**
+ * A built-in category (see PATTERN_CATEGORIES) or one defined under "categories" in config.json
+ * @typedef {string} PatternCategory
+ */
+
+/**
+ * @typedef {Object} Pattern
+ * @property {string} id - Unique identifier (e.g., "pat_1234567890_abc123")
+ * @property {string} name - Kebab-case name (e.g., "prefer-early-returns")
+ * @property {string} description - Clear, actionable description of the pattern
+ * @property {PatternCategory} category - Pattern category for grouping
+ * @property {string[]} [tags] - Free-form kebab-case labels for filtering
+ * @property {string} [bad_example] - Code example showing what NOT to do
+ * @property {string} [good_example] - Code example showing the preferred approach
+ * @property {number} confidence - Confidence score 0-1
+ * @property {string} [reasoning] - Why this pattern was learned
+ * @property {string} [source] - Project file the pattern was imported from, or "transcripts" when mined from past sessions (absent when learned live)
+ * @property {string} createdAt - ISO date string
+ * @property {string} updatedAt - ISO date string of the last change
+ * @property {number} hitCount - Number of times this pattern was applied
+ * @property {string} [lastAppliedAt] - ISO date string of the last time it was applied
+ * @property {number} [violationCount] - Number of times written code broke it
+ * @property {string} [lastViolatedAt] - ISO date string of the last violation
+ * @property {string} [lastInjectedAt] - ISO date string of the last session that loaded it (stamped at most daily)
+ * @property {string} [decayedAt] - ISO date string up to which idle time has already decayed confidence
+ * @property {import('./rules').PatternRule} [rule] - Machine-checkable form of the pattern
+ * @property {import('./rules').Enforcement} [enforcement] - What to do when written code breaks the rule (default: warn)
+ * @property {import('./applies-to').AppliesTo} [appliesTo] - Parts of the repository the pattern is limited to (default: everywhere)
+ * @property {import('./paths').Scope} [targetScope] - Review candidates only: scope to save into once accepted
+ * @property {string} [detectionId] - Review candidates only: audit log detection the candidate came from
+ * @property {import('./mine').MinedInfo} [mined] - Review candidates only: how often the correction was seen in past transcripts
+ * @property {ProposalStatus} [status] - Team proposals: pending or rejected in the file's proposals, approved once moved into its patterns
+ * @property {string} [proposedBy] - Team proposals: git identity of who proposed it
+ * @property {string} [proposedAt] - ISO date string
+ * @property {string} [approvedBy] - Team proposals: git identity of who approved it
+ * @property {string} [rejectedBy] - Team proposals: git identity of who rejected it
+ * @property {string} [reviewedAt] - ISO date string of the approval or rejection
+ * @property {string} [reviewNote] - Reason the reviewer gave
+ */
+
+/**
+ * @typedef {Pattern & { scope: import('./paths').Scope, package?: string }} ScopedPattern
+ * `package` is set for patterns from a nested package store: its directory, relative to the repository root
+ */
+
+/**
+ * @typedef {Pattern & { archivedAt: string }} ArchivedPattern
+ */
+
+/**
+ * @typedef {'pending' | 'approved' | 'rejected'} ProposalStatus
+ */
+
+/**
+ * @typedef {'hit' | 'violation' | 'injected'} UsageEvent
+ */
+
+/**
+ * @typedef {Pick<Pattern, 'hitCount' | 'lastAppliedAt' | 'violationCount' | 'lastViolatedAt' | 'lastInjectedAt'>} UsageStats
+ */
+
+/**
+ * @typedef {Object} PatternsData
+ * @property {Pattern[]} patterns - Array of learned patterns
+ * @property {number} version - Schema version
+ * @property {Object[]} [invalid] - Entries that failed validation, kept so they aren't lost
+ * @property {ArchivedPattern[]} [archived] - Patterns whose confidence decayed below the archive threshold; in the review file, rejected mined candidates
+ * @property {Pattern[]} [proposals] - Team file only: patterns proposed for the team, never loaded until approved
+ */
+
+const CURRENT_VERSION = 2;
+
+/**
+ * Built-in categories; config.json can define more
+ * @type {PatternCategory[]}
+ */
+const PATTERN_CATEGORIES = ['naming', 'error-handling', 'architecture', 'testing', 'style', 'imports', 'tooling', 'other'];
+
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/** @type {ProposalStatus[]} */
+const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+/** Share of the remaining distance to 1.0 that confidence gains when a pattern is learned again */
+const REINFORCEMENT_RATE = 0.25;
+
+class StoreError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [details] - Individual validation problems
+   */
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}: ${details.join('; ')}` : message);
+    this.name = 'StoreError';
+    this.details = details;
+  }
+}
+
+/**
+ * Generate a pattern id
+ * @returns {string}
+ */
+function generateId() {
+  return `pat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Build a complete pattern from user-supplied fields, filling in bookkeeping fields
+ * @param {Partial<Pattern>} fields - name, description, category, examples, ...
+ * @returns {Pattern}
+ */
+function createPattern(fields) {
+  const now = new Date().toISOString();
+  /** @type {Pattern} */
+  const pattern = {
+    id: generateId(),
+    name: fields.name,
+    description: fields.description,
+    category: fields.category || 'other',
+    confidence: fields.confidence ?? 1.0,
+    createdAt: now,
+    updatedAt: now,
+    hitCount: 0,
+  };
+
+  for (const field of ['tags', 'bad_example', 'good_example', 'reasoning', 'source', 'rule', 'enforcement', 'appliesTo']) {
+    if (fields[field]) {
+      pattern[field] = fields[field];
+    }
+  }
+
+  return pattern;
+}
+
+/**
+ * Fold a near-duplicate into an existing pattern. The existing pattern keeps its
+ * identity and wording; missing examples are filled in. Being learned again
+ * reinforces the pattern: confidence rises, and never ends below the duplicate's.
+ * @param {Pattern} target - Stored pattern, modified in place
+ * @param {Partial<Pattern>} incoming - Fields of the duplicate
+ * @returns {Pattern}
+ */
+function mergePatterns(target, incoming) {
+  for (const field of ['bad_example', 'good_example']) {
+    if (!target[field] && incoming[field]) {
+      target[field] = incoming[field];
+    }
+  }
+  const reinforced = target.confidence + (1 - target.confidence) * REINFORCEMENT_RATE;
+  target.confidence = Math.round(Math.max(reinforced, incoming.confidence ?? 0) * 1000) / 1000;
+  if (incoming.reasoning && incoming.reasoning !== target.reasoning) {
+    target.reasoning = target.reasoning ? `${target.reasoning}\n${incoming.reasoning}` : incoming.reasoning;
+  }
+  target.updatedAt = new Date().toISOString();
+  return target;
+}
+
+/**
+ * Find a pattern by id or name
+ * @param {Pattern[]} patterns
+ * @param {string} idOrName
+ * @returns {Pattern | undefined}
+ */
+function findPattern(patterns, idOrName) {
+  return patterns.find(p => p.id === idOrName) || patterns.find(p => p.name === idOrName);
+}
+
+/**
+ * Check a pattern against the schema
+ * @param {unknown} pattern - Candidate pattern
+ * @returns {string[]} List of problems (empty when valid)
+ */
+function validatePattern(pattern) {
+  if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+    return ['pattern must be an object'];
+  }
+
+  const p = /** @type {Record<string, any>} */ (pattern);
+  const label = typeof p.name === 'string' && p.name ? p.name : '(unnamed)';
+  const errors = [];
+
+  if (typeof p.id !== 'string' || !p.id) {
+    errors.push(`${label}: id must be a non-empty string`);
+  }
+  if (typeof p.name !== 'string' || !NAME_PATTERN.test(p.name)) {
+    errors.push(`${label}: name must be kebab-case`);
+  }
+  if (typeof p.description !== 'string' || !p.description.trim()) {
+    errors.push(`${label}: description is required`);
+  }
+  // Categories are checked against the config when a pattern is saved; one whose
+  // definition was removed since stays valid, so it's never dropped from the store
+  if (typeof p.category !== 'string' || !NAME_PATTERN.test(p.category)) {
+    errors.push(`${label}: category must be kebab-case`);
+  }
+  if (p.tags !== undefined && (!Array.isArray(p.tags) || p.tags.some(tag => typeof tag !== 'string' || !NAME_PATTERN.test(tag)))) {
+    errors.push(`${label}: tags must be an array of kebab-case names`);
+  }
+  for (const field of ['bad_example', 'good_example', 'reasoning', 'source', 'proposedBy', 'approvedBy', 'rejectedBy', 'reviewNote']) {
+    if (p[field] !== undefined && typeof p[field] !== 'string') {
+      errors.push(`${label}: ${field} must be a string`);
+    }
+  }
+  if (typeof p.confidence !== 'number' || p.confidence < 0 || p.confidence > 1) {
+    errors.push(`${label}: confidence must be a number between 0 and 1`);
+  }
+  if (typeof p.createdAt !== 'string' || isNaN(Date.parse(p.createdAt))) {
+    errors.push(`${label}: createdAt must be an ISO date`);
+  }
+  for (const field of ['updatedAt', 'lastAppliedAt', 'lastViolatedAt', 'lastInjectedAt', 'decayedAt', 'proposedAt', 'reviewedAt']) {
+    if (p[field] !== undefined && (typeof p[field] !== 'string' || isNaN(Date.parse(p[field])))) {
+      errors.push(`${label}: ${field} must be an ISO date`);
+    }
+  }
+  if (!Number.isInteger(p.hitCount) || p.hitCount < 0) {
+    errors.push(`${label}: hitCount must be a non-negative integer`);
+  }
+  if (p.violationCount !== undefined && (!Number.isInteger(p.violationCount) || p.violationCount < 0)) {
+    errors.push(`${label}: violationCount must be a non-negative integer`);
+  }
+  if (p.rule !== undefined) {
+    errors.push(...validateRule(p.rule).map(error => `${label}: ${error}`));
+  }
+  if (p.enforcement !== undefined && !ENFORCEMENT_LEVELS.includes(p.enforcement)) {
+    errors.push(`${label}: enforcement must be one of ${ENFORCEMENT_LEVELS.join(', ')}`);
+  }
+  if (p.appliesTo !== undefined) {
+    errors.push(...validateAppliesTo(p.appliesTo).map(error => `${label}: ${error}`));
+  }
+  if (p.status !== undefined && !PROPOSAL_STATUSES.includes(p.status)) {
+    errors.push(`${label}: status must be one of ${PROPOSAL_STATUSES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ * @type {Record<number, function(Record<string, any>): Record<string, any>>}
+ */
+const migrations = {
+  // Version 0: a bare array of patterns, as sometimes written by hand
+  0: data => ({ patterns: Array.isArray(data) ? data : [], version: 1 }),
+
+  // Version 1: patterns were hand-edited JSON, so bookkeeping fields are often missing
+  1: data => ({
+    ...data,
+    version: 2,
+    patterns: (data.patterns || []).map(p => {
+      if (!p || typeof p !== 'object') return p;
+      const createdAt = typeof p.createdAt === 'string' && !isNaN(Date.parse(p.createdAt))
+        ? p.createdAt
+        : new Date().toISOString();
+      const confidence = Number(p.confidence);
+      return {
+        ...p,
+        id: p.id || generateId(),
+        name: typeof p.name === 'string' ? p.name.trim().toLowerCase().replace(/[\s_]+/g, '-') : p.name,
+        category: PATTERN_CATEGORIES.includes(p.category) ? p.category : 'other',
+        confidence: isNaN(confidence) ? 0.5 : Math.min(Math.max(confidence, 0), 1),
+        createdAt,
+        updatedAt: p.updatedAt || createdAt,
+        hitCount: Math.max(parseInt(p.hitCount, 10) || 0, 0),
+      };
+    }),
+  }),
+};
+
+/**
+ * Bring data from any older schema version up to CURRENT_VERSION
+ * @param {unknown} raw - Parsed file contents
+ * @returns {Record<string, any>}
+ */
+function migrate(raw) {
+  let data = /** @type {Record<string, any>} */ (raw);
+  let version = Array.isArray(raw) ? 0 : Number(data?.version) || 1;
+
+  while (version < CURRENT_VERSION) {
+    data = migrations[version](data);
+    version = data.version;
+  }
+
+  return data;
+}
+
+/**
+ * Migrate and validate parsed file contents
+ * @param {unknown} raw - Parsed file contents
+ * @returns {PatternsData}
+ */
+function normalize(raw) {
+  if (raw !== null && typeof raw === 'object' && !Array.isArray(raw) && Number(raw.version) > CURRENT_VERSION) {
+    throw new StoreError(`patterns file has version ${raw.version}, newer than supported version ${CURRENT_VERSION}`);
+  }
+
+  const data = migrate(raw);
+  const patterns = [];
+  const proposals = [];
+  const invalid = Array.isArray(data.invalid) ? [...data.invalid] : [];
+
+  for (const [entries, valid] of [[data.patterns, patterns], [data.proposals, proposals]]) {
+    for (const pattern of Array.isArray(entries) ? entries : []) {
+      if (validatePattern(pattern).length === 0) {
+        valid.push(pattern);
+      } else {
+        invalid.push(pattern);
+      }
+    }
+  }
+
+  /** @type {PatternsData} */
+  const result = { ...data, patterns, version: CURRENT_VERSION };
+  if (proposals.length > 0) {
+    result.proposals = proposals;
+  } else {
+    delete result.proposals;
+  }
+  if (invalid.length > 0) {
+    result.invalid = invalid;
+  } else {
+    delete result.invalid;
+  }
+  return result;
+}
+
+/**
+ * Read the store without locking. Never throws on a missing or corrupt file.
+ * @param {string} [file] - Path to patterns.json
+ * @returns {PatternsData}
+ */
+function readStore(file = getPatternsFile()) {
+  const raw = readJson(file, null);
+  if (raw === null) {
+    return { patterns: [], version: CURRENT_VERSION };
+  }
+
+  try {
+    return normalize(raw);
+  } catch {
+    return { patterns: [], version: CURRENT_VERSION };
+  }
+}
+
+/**
+ * Load the valid patterns from the store
+ * @param {string} [file] - Path to patterns.json
+ * @returns {Pattern[]}
+ */
+function loadPatterns(file = getPatternsFile()) {
+  return readStore(file).patterns;
+}
+
+/**
+ * Load patterns from every scope and merge them. When two scopes define a pattern
+ * with the same name, the higher-precedence scope wins (project > team > user).
+ * Within a scope, a nested package store overrides the repository root's.
+ * @param {string} [cwd] - Directory in the project
+ * @returns {ScopedPattern[]}
+ */
+function loadMergedPatterns(cwd) {
+  /** @type {Map<string, ScopedPattern>} */
+  const byName = new Map();
+  /** @type {Record<string, UsageStats>} */
+  const teamUsage = readJson(getTeamUsageFile(cwd), {});
+
+  for (const scope of SCOPES) {
+    for (const store of getScopeStores(scope, cwd)) {
+      for (const pattern of loadPatterns(store.file)) {
+        // Only approved team patterns apply to everyone; a hand-edited pending one doesn't
+        if (pattern.status && pattern.status !== 'approved') continue;
+        // Delete first so an override moves to its own scope's position
+        byName.delete(pattern.name);
+        const usage = scope === 'team' ? teamUsage[pattern.id] : undefined;
+        byName.set(pattern.name, { ...pattern, ...usage, scope, ...(store.package && { package: store.package }) });
+      }
+    }
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Scope of a merged pattern for display, with the package store it came from
+ * @param {ScopedPattern} pattern
+ * @returns {string} e.g. "project" or "project: packages/api"
+ */
+function scopeLabel(pattern) {
+  return pattern.package ? `${pattern.scope}: ${pattern.package}` : pattern.scope;
+}
+
+/**
+ * Count one usage event on a pattern's stats
+ * @param {Partial<UsageStats>} stats - Modified in place
+ * @param {UsageEvent} event
+ * @param {string} now - ISO date string
+ */
+function countUsage(stats, event, now) {
+  if (event === 'hit') {
+    stats.hitCount = (stats.hitCount || 0) + 1;
+    stats.lastAppliedAt = now;
+  } else if (event === 'injected') {
+    stats.lastInjectedAt = now;
+  } else {
+    stats.violationCount = (stats.violationCount || 0) + 1;
+    stats.lastViolatedAt = now;
+  }
+}
+
+/**
+ * Record that patterns were applied, violated or loaded into a session. Usage isn't a change to the pattern
+ * itself, so updatedAt is left alone. Team patterns are committed, so their counts
+ * are kept in a local file instead of churning the shared one.
+ * @param {ScopedPattern[]} patterns - Patterns from loadMergedPatterns
+ * @param {UsageEvent} event
+ * @param {string} [cwd] - Project directory
+ */
+function recordUsage(patterns, event, cwd) {
+  const now = new Date().toISOString();
+
+  for (const scope of SCOPES) {
+    const ids = new Set(patterns.filter(p => p.scope === scope).map(p => p.id));
+    if (ids.size === 0) continue;
+
+    if (scope === 'team') {
+      const file = getTeamUsageFile(cwd);
+      withLock(file, () => {
+        /** @type {Record<string, Partial<UsageStats>>} */
+        const usage = readJson(file, {});
+        for (const id of ids) {
+          usage[id] = usage[id] || {};
+          countUsage(usage[id], event, now);
+        }
+        writeJsonAtomic(file, usage);
+      });
+    } else {
+      for (const { file } of getScopeStores(scope, cwd)) {
+        if (!loadPatterns(file).some(p => ids.has(p.id))) continue;
+        updateStore(file, data => {
+          for (const pattern of data.patterns) {
+            if (ids.has(pattern.id)) countUsage(pattern, event, now);
+          }
+        }, { actor: 'hook', operation: 'usage' });
+      }
+    }
+  }
+}
+
+/**
+ * Read the store for modification. A corrupt file is moved aside rather than overwritten.
+ * @param {string} file - Path to patterns.json
+ * @returns {PatternsData}
+ */
+function readForUpdate(file) {
+  if (!fs.existsSync(file)) {
+    return { patterns: [], version: CURRENT_VERSION };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    const backup = `${file}.corrupt-${Date.now()}`;
+    fs.renameSync(file, backup);
+    return { patterns: [], version: CURRENT_VERSION };
+  }
+
+  return normalize(raw);
+}
+
+/**
+ * Read-modify-write the store under a lock. The mutator may change `data.patterns`
+ * in place; every pattern is validated before anything is written. Changes to
+ * patterns, but not usage counts, are recorded in the history.
+ * @template T
+ * @param {string} file - Path to patterns.json
+ * @param {function(PatternsData): T} mutator - Applies the change and returns a result
+ * @param {import('./history').ChangeInfo} [change] - Who made the change and why
+ * @returns {T}
+ */
+function updateStore(file, mutator, change = { actor: 'hook', operation: 'update' }) {
+  return withLock(file, () => {
+    const data = readForUpdate(file);
+    /** @type {PatternsData} */
+    const before = JSON.parse(JSON.stringify(data));
+    const result = mutator(data);
+
+    const errors = [...data.patterns, ...(data.proposals || [])].flatMap(validatePattern);
+    if (errors.length > 0) {
+      throw new StoreError('Refusing to write invalid patterns', errors);
+    }
+
+    const names = new Set();
+    for (const p of data.patterns) {
+      if (names.has(p.name)) {
+        throw new StoreError(`Duplicate pattern name "${p.name}"`);
+      }
+      names.add(p.name);
+    }
+
+    data.version = CURRENT_VERSION;
+    writeJsonAtomic(file, data);
+
+    const changes = diffStores(before, data);
+    if (changes.length > 0) {
+      recordHistory(file, changes, change);
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  PATTERN_CATEGORIES,
+  NAME_PATTERN,
+  REINFORCEMENT_RATE,
+  StoreError,
+  generateId,
+  createPattern,
+  mergePatterns,
+  findPattern,
+  validatePattern,
+  migrate,
+  readStore,
+  loadPatterns,
+  loadMergedPatterns,
+  scopeLabel,
+  updateStore,
+  recordUsage,
+};
@@ -0,0 +1,294 @@
+/**
+ * Correct Habits - Tool Rules
+ * How patterns correspond to ESLint rules and formatter settings (EditorConfig,
+ * Prettier). Matching is by cues in a pattern's name and description, so only
+ * patterns that clearly say the same thing as a rule are mapped.
+ */
+
+/**
+ * @typedef {import('./store').Pattern} Pattern
+ */
+
+/**
+ * @typedef {Object} EslintRuleMapping
+ * @property {string} rule - ESLint core rule name
+ * @property {unknown[]} [options] - Rule options after the severity
+ * @property {RegExp} cue - Matches a pattern's name and description when it asks for this rule
+ * @property {string} description - What the rule asks for, phrased as a pattern
+ * @property {import('./store').PatternCategory} category
+ * @property {string} bad_example
+ * @property {string} good_example
+ */
+
+/**
+ * @typedef {Object} StyleSettings
+ * @property {'space' | 'tab'} [indentStyle]
+ * @property {number} [indentSize]
+ * @property {'single' | 'double'} [quotes]
+ * @property {boolean} [semicolons]
+ * @property {'all' | 'none'} [trailingCommas]
+ * @property {number} [maxLineLength]
+ * @property {'lf' | 'crlf'} [endOfLine]
+ * @property {boolean} [finalNewline]
+ */
+
+/** @type {EslintRuleMapping[]} */
+const ESLINT_RULES = [
+  {
+    rule: 'no-var',
+    cue: /\bno-var\b|\bvar\b.*\b(?:const|let)\b|\b(?:const|let)\b.*\bvar\b/i,
+    description: 'Use const or let instead of var',
+    category: 'style',
+    bad_example: 'var count = 0;',
+    good_example: 'let count = 0;',
+  },
+  {
+    rule: 'prefer-const',
+    cue: /\bprefer-const\b|\bconst\b.*\bnever reassigned\b|\bconst\b (?:by default|unless|wherever|whenever)/i,
+    description: 'Use const for variables that are never reassigned',
+    category: 'style',
+    bad_example: 'let name = "x";',
+    good_example: 'const name = "x";',
+  },
+  {
+    rule: 'eqeqeq',
+    cue: /\beqeqeq\b|strict equality|===|\btriple equals\b/i,
+    description: 'Use === and !== instead of == and !=',
+    category: 'style',
+    bad_example: 'if (a == b) {}',
+    good_example: 'if (a === b) {}',
+  },
+  {
+    rule: 'curly',
+    cue: /\bcurly\b|always use (?:curly )?braces|braces (?:for|around) (?:every|all|single-line)/i,
+    description: 'Always use braces around if/else/loop bodies',
+    category: 'style',
+    bad_example: 'if (done) return;',
+    good_example: 'if (done) {\n  return;\n}',
+  },
+  {
+    rule: 'no-console',
+    cue: /\bno-console\b|\bconsole\.log\b|\bno console\b/i,
+    description: 'Do not leave console calls in code; use the logger',
+    category: 'error-handling',
+    bad_example: 'console.log(err);',
+    good_example: 'logger.error(err);',
+  },
+  {
+    rule: 'prefer-template',
+    cue: /\bprefer-template\b|template (?:literals|strings) (?:instead of|over|rather than) (?:string )?concatenation/i,
+    description: 'Use template literals instead of string concatenation',
+    category: 'style',
+    bad_example: "const msg = 'Hi ' + name;",
+    good_example: 'const msg = `Hi ${name}`;',
+  },
+  {
+    rule: 'object-shorthand',
+    cue: /\bobject-shorthand\b|shorthand (?:object )?propert/i,
+    description: 'Use object property and method shorthand',
+    category: 'style',
+    bad_example: 'const point = { x: x, y: y };',
+    good_example: 'const point = { x, y };',
+  },
+  {
+    rule: 'prefer-arrow-callback',
+    cue: /\bprefer-arrow-callback\b|arrow functions? (?:for|as) callbacks/i,
+    description: 'Use arrow functions for callbacks',
+    category: 'style',
+    bad_example: 'items.map(function (item) { return item.id; });',
+    good_example: 'items.map(item => item.id);',
+  },
+  {
+    rule: 'no-else-return',
+    cue: /\bno-else-return\b|\bno else after (?:a )?return\b|\belse after return\b/i,
+    description: 'Do not use else after a return',
+    category: 'style',
+    bad_example: 'if (x) {\n  return a;\n} else {\n  return b;\n}',
+    good_example: 'if (x) {\n  return a;\n}\nreturn b;',
+  },
+  {
+    rule: 'no-nested-ternary',
+    cue: /\bno-nested-ternary\b|nested ternar/i,
+    description: 'Do not nest ternary expressions',
+    category: 'style',
+    bad_example: 'const size = a ? 1 : b ? 2 : 3;',
+    good_example: 'if (a) return 1;\nif (b) return 2;\nreturn 3;',
+  },
+  {
+    rule: 'camelcase',
+    options: [{ properties: 'never' }],
+    cue: /\bcamelcase\b|\bcamel[- ]case\b/i,
+    description: 'Use camelCase for variable and function names',
+    category: 'naming',
+    bad_example: 'const user_name = "x";',
+    good_example: 'const userName = "x";',
+  },
+];
+
+/**
+ * Text a pattern's tool mapping is judged on. Examples are left out: code
+ * in them mentions constructs the pattern isn't about.
+ * @param {Pattern} pattern
+ * @returns {string}
+ */
+function cueText(pattern) {
+  return `${pattern.name.replace(/-/g, ' ')} ${pattern.name} ${pattern.description}`;
+}
+
+/**
+ * ESLint core rules a pattern asks for
+ * @param {Pattern} pattern
+ * @returns {EslintRuleMapping[]}
+ */
+function eslintRulesFor(pattern) {
+  const text = cueText(pattern);
+  return ESLINT_RULES.filter(mapping => mapping.cue.test(text));
+}
+
+/**
+ * Formatter settings a pattern asks for
+ * @param {Pattern} pattern
+ * @returns {StyleSettings}
+ */
+function styleSettingsFor(pattern) {
+  const text = cueText(pattern).toLowerCase();
+  /** @type {StyleSettings} */
+  const settings = {};
+
+  if (/\btabs?\b.*\bindent|\bindent\w* (?:with|using) tabs\b/.test(text)) {
+    settings.indentStyle = 'tab';
+  }
+  const indent = /\b(\d)[- ]space(?:s)?\b.*\bindent|\bindent\w* (?:with |using |of )?(\d) spaces?\b/.exec(text);
+  if (indent) {
+    settings.indentStyle = 'space';
+    settings.indentSize = Number(indent[1] || indent[2]);
+  }
+
+  if (/\bsingle[- ]quot/.test(text)) {
+    settings.quotes = 'single';
+  } else if (/\bdouble[- ]quot/.test(text)) {
+    settings.quotes = 'double';
+  }
+
+  if (/\b(?:no|omit|without|never use|avoid) semicolons?\b|\bsemicolons? (?:are )?not needed\b/.test(text)) {
+    settings.semicolons = false;
+  } else if (/\b(?:always (?:use |end (?:statements )?with )?|require )semicolons?\b|\bend (?:every |each )?statements? with (?:a )?semicolons?\b/.test(text)) {
+    settings.semicolons = true;
+  }
+
+  if (/\b(?:no|without|avoid|never use) trailing commas?\b/.test(text)) {
+    settings.trailingCommas = 'none';
+  } else if (/\btrailing commas?\b/.test(text)) {
+    settings.trailingCommas = 'all';
+  }
+
+  const lineLength = /\b(?:max(?:imum)? )?line(?:s)? (?:length |width )?(?:of |at |under |to |<= ?)?(\d{2,3})\b|\b(\d{2,3})[- ](?:char(?:acter)?s?|columns?)\b/.exec(text);
+  if (lineLength) {
+    settings.maxLineLength = Number(lineLength[1] || lineLength[2]);
+  }
+
+  if (/\bcrlf\b|\bwindows line endings\b/.test(text)) {
+    settings.endOfLine = 'crlf';
+  } else if (/\blf line endings\b|\bunix line endings\b|\bline endings?\b.*\blf\b/.test(text)) {
+    settings.endOfLine = 'lf';
+  }
+
+  if (/\b(?:final|trailing) newline\b|\bend (?:files|each file) with a newline\b/.test(text)) {
+    settings.finalNewline = !/\bno (?:final|trailing) newline\b/.test(text);
+  }
+
+  return settings;
+}
+
+/**
+ * Formatter settings asked for by a set of patterns. Later patterns win, so with
+ * patterns from loadMergedPatterns the higher-precedence scope decides.
+ * @param {Pattern[]} patterns
+ * @returns {{ settings: StyleSettings, sources: Pattern[] }}
+ */
+function collectStyleSettings(patterns) {
+  /** @type {StyleSettings} */
+  const settings = {};
+  const sources = [];
+
+  for (const pattern of patterns) {
+    const found = styleSettingsFor(pattern);
+    if (Object.keys(found).length > 0) {
+      Object.assign(settings, found);
+      sources.push(pattern);
+    }
+  }
+
+  return { settings, sources };
+}
+
+/**
+ * Describe formatter settings as pattern fields, worded so styleSettingsFor reads
+ * them back the same way (an imported setting exports unchanged)
+ * @param {StyleSettings} settings
+ * @returns {Partial<Pattern>[]}
+ */
+function patternsFromStyleSettings(settings) {
+  /** @type {Partial<Pattern>[]} */
+  const patterns = [];
+  /**
+   * @param {string} name
+   * @param {string} description
+   * @param {string} [bad]
+   * @param {string} [good]
+   */
+  const add = (name, description, bad, good) => {
+    patterns.push({ name, description, category: 'style', ...(bad && { bad_example: bad }), ...(good && { good_example: good }) });
+  };
+
+  if (settings.indentStyle === 'tab') {
+    add('indent-with-tabs', 'Indent with tabs', 'if (x) {\n  run();\n}', 'if (x) {\n\trun();\n}');
+  } else if (settings.indentSize) {
+    const other = settings.indentSize === 2 ? 4 : 2;
+    add(
+      `indent-${settings.indentSize}-spaces`,
+      `Indent with ${settings.indentSize} spaces`,
+      `if (x) {\n${' '.repeat(other)}run();\n}`,
+      `if (x) {\n${' '.repeat(settings.indentSize)}run();\n}`
+    );
+  }
+  if (settings.quotes) {
+    const other = settings.quotes === 'single' ? 'double' : 'single';
+    const quote = mark => (mark === 'single' ? "'" : '"');
+    add(
+      `${settings.quotes}-quotes`,
+      `Use ${settings.quotes} quotes for strings`,
+      `const name = ${quote(other)}x${quote(other)};`,
+      `const name = ${quote(settings.quotes)}x${quote(settings.quotes)};`
+    );
+  }
+  if (settings.semicolons === false) {
+    add('no-semicolons', 'Omit semicolons at the end of statements', 'const x = 1;', 'const x = 1');
+  } else if (settings.semicolons === true) {
+    add('always-semicolons', 'Always use semicolons at the end of statements', 'const x = 1', 'const x = 1;');
+  }
+  if (settings.trailingCommas === 'all') {
+    add('trailing-commas', 'Use trailing commas in multi-line lists', 'const xs = [\n  a,\n  b\n];', 'const xs = [\n  a,\n  b,\n];');
+  } else if (settings.trailingCommas === 'none') {
+    add('no-trailing-commas', 'No trailing commas in lists', 'const xs = [\n  a,\n  b,\n];', 'const xs = [\n  a,\n  b\n];');
+  }
+  if (settings.maxLineLength) {
+    add('max-line-length', `Keep lines under ${settings.maxLineLength} characters`);
+  }
+  if (settings.endOfLine) {
+    add(`${settings.endOfLine}-line-endings`, `Use ${settings.endOfLine} line endings`);
+  }
+  if (settings.finalNewline) {
+    add('final-newline', 'End each file with a newline');
+  }
+
+  return patterns;
+}
+
+module.exports = {
+  ESLINT_RULES,
+  eslintRulesFor,
+  styleSettingsFor,
+  collectStyleSettings,
+  patternsFromStyleSettings,
+};
@@ -0,0 +1,71 @@
+/**
+ * Correct Habits - Tool Inputs
+ * Pull file paths, written code and commands out of tool_use inputs
+ */
+
+/**
+ * File path a tool operates on, if any
+ * @param {Record<string, any>} input - Tool input
+ * @returns {string | undefined}
+ */
+function getToolFile(input) {
+  return input?.file_path || input?.path || undefined;
+}
+
+/**
+ * Each piece of code a tool writes into a file: the new_string of every edit,
+ * or the whole content of a Write
+ * @param {string} toolName - Tool name (e.g., "Edit", "Write")
+ * @param {Record<string, any>} input - Tool input
+ * @returns {string[]}
+ */
+function getToolWrites(toolName, input) {
+  if (!input) return [];
+
+  switch (toolName) {
+    case 'Edit':
+      return input.new_string ? [input.new_string] : [];
+    case 'MultiEdit':
+      return Array.isArray(input.edits)
+        ? input.edits.map(edit => edit.new_string).filter(Boolean)
+        : [];
+    case 'Write':
+      return input.content ? [input.content] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Code a tool writes into a file, if any
+ * @param {string} toolName - Tool name (e.g., "Edit", "Write")
+ * @param {Record<string, any>} input - Tool input
+ * @returns {string | undefined}
+ */
+function getToolCode(toolName, input) {
+  return getToolWrites(toolName, input).join('\n') || undefined;
+}
+
+/**
+ * What a tool that doesn't write code was asked to do: the command for Bash,
+ * otherwise the pattern, URL, query or description it was given
+ * @param {string} toolName
+ * @param {Record<string, any>} input - Tool input
+ * @returns {string | undefined}
+ */
+function getToolInput(toolName, input) {
+  if (!input) return undefined;
+  if (toolName === 'Bash') return input.command || undefined;
+
+  for (const key of ['pattern', 'url', 'query', 'description', 'command']) {
+    if (typeof input[key] === 'string' && input[key]) return input[key];
+  }
+  return undefined;
+}
+
+module.exports = {
+  getToolFile,
+  getToolWrites,
+  getToolCode,
+  getToolInput,
+};
@@ -0,0 +1,233 @@
+/**
+ * Correct Habits - Transcripts
+ * Reading Claude Code transcript JSONL and summarizing assistant turns into the
+ * LastResponse context the correction detector works with
+ */
+
+const fs = require('fs');
+const { getToolCode, getToolFile, getToolInput } = require('./tools');
+
+/**
+ * @typedef {Object} ToolUseInfo
+ * @property {string} tool - Tool name (e.g., "Edit", "Write")
+ * @property {string} [file] - File path if applicable
+ * @property {string} [code] - Code snippet if applicable
+ * @property {string} [input] - Command, pattern, URL etc. for tools that don't write code
+ */
+
+/**
+ * @typedef {Object} LastResponse
+ * @property {string} sessionId - Session identifier
+ * @property {string} response - Claude's last message text
+ * @property {string[]} toolsUsed - List of tools used
+ * @property {string[]} filesModified - List of files modified
+ * @property {string} codeWritten - Extracted code snippets
+ * @property {string[]} [commandsRun] - Bash commands, in the order they ran (absent in context saved by older versions)
+ * @property {string[]} [toolInputs] - Other tools' inputs as "Tool: input"
+ * @property {string} timestamp - ISO timestamp
+ * @property {number} [turns] - Responses merged into this one (see mergeTurns)
+ */
+
+/**
+ * @typedef {Object} TranscriptMessage
+ * @property {string} type - Message type
+ * @property {string} [timestamp] - ISO timestamp
+ * @property {string} [sessionId] - Session the entry belongs to
+ * @property {boolean} [isMeta] - Injected by Claude Code rather than typed by the user
+ * @property {boolean} [isCompactSummary] - Summary written when the conversation was compacted
+ * @property {Object} message - Message content
+ * @property {string} message.role - 'user' or 'assistant'
+ * @property {string | Array<Object>} message.content - Content blocks (user messages may be a plain string)
+ */
+
+/**
+ * Read and parse the transcript JSONL file
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {TranscriptMessage[]} - Array of transcript messages
+ */
+function readTranscript(transcriptPath) {
+  if (!fs.existsSync(transcriptPath)) {
+    return [];
+  }
+
+  const content = fs.readFileSync(transcriptPath, 'utf8');
+  const lines = content.trim().split('\n').filter(line => line.trim());
+
+  return lines.map(line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Extract text content from message content blocks
+ * @param {Array<Object>} contentBlocks - Content blocks from message
+ * @returns {string} - Extracted text
+ */
+function extractTextContent(contentBlocks) {
+  if (!Array.isArray(contentBlocks)) return '';
+
+  return contentBlocks
+    .filter(block => block.type === 'text')
+    .map(block => block.text || '')
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Text the user typed in a transcript entry. Tool results, which are recorded as
+ * user messages too, and entries Claude Code injected yield ''.
+ * @param {TranscriptMessage} entry
+ * @returns {string}
+ */
+function extractUserText(entry) {
+  if (entry?.message?.role !== 'user' || entry.isMeta || entry.isCompactSummary) return '';
+
+  const content = entry.message.content;
+  return typeof content === 'string' ? content.trim() : extractTextContent(content);
+}
+
+/**
+ * Assistant entries of the last turn: everything Claude wrote since the user's
+ * last message. A turn with tool calls spans several entries.
+ * @param {TranscriptMessage[]} transcript - Parsed transcript
+ * @returns {TranscriptMessage[]} - Oldest first; empty when Claude hasn't answered
+ */
+function findLastAssistantTurn(transcript) {
+  const entries = [];
+  for (let i = transcript.length - 1; i >= 0; i--) {
+    const entry = transcript[i];
+    if (entry?.message?.role === 'assistant') {
+      entries.unshift(entry);
+    } else if (extractUserText(entry)) {
+      break;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Extract tool usage information from content blocks
+ * @param {Array<Object>} contentBlocks - Content blocks from message
+ * @returns {ToolUseInfo[]} - Array of tool use info
+ */
+function extractToolUse(contentBlocks) {
+  if (!Array.isArray(contentBlocks)) return [];
+
+  /** @type {ToolUseInfo[]} */
+  const tools = [];
+
+  for (const block of contentBlocks) {
+    if (block.type === 'tool_use') {
+      const toolInfo = {
+        tool: block.name || 'unknown',
+      };
+
+      const input = block.input || {};
+
+      // Extract file path for file-related tools
+      const file = getToolFile(input);
+      if (file) {
+        toolInfo.file = file;
+      }
+
+      // Extract code content for Edit/MultiEdit/Write tools
+      const code = getToolCode(block.name, input);
+      if (code) {
+        toolInfo.code = code;
+      } else {
+        const toolInput = getToolInput(block.name, input);
+        if (toolInput) {
+          toolInfo.input = toolInput;
+        }
+      }
+
+      tools.push(toolInfo);
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Content blocks of a turn's assistant entries, in order
+ * @param {TranscriptMessage[]} assistantMessages
+ * @returns {Array<Object>}
+ */
+function turnContent(assistantMessages) {
+  return assistantMessages.flatMap(entry => {
+    const content = entry?.message?.content;
+    return Array.isArray(content) ? content : [];
+  });
+}
+
+/**
+ * Summarize one assistant turn
+ * @param {string} sessionId - Session ID
+ * @param {TranscriptMessage[]} assistantMessages - The turn's assistant entries, oldest first
+ * @param {string} [timestamp] - When the response was given (default: now)
+ * @returns {LastResponse} - State object to save
+ */
+function buildLastResponse(sessionId, assistantMessages, timestamp = new Date().toISOString()) {
+  const contentBlocks = turnContent(assistantMessages);
+  const textContent = extractTextContent(contentBlocks);
+  const toolUseInfo = extractToolUse(contentBlocks);
+
+  const toolsUsed = [...new Set(toolUseInfo.map(t => t.tool))];
+  const filesModified = [...new Set(toolUseInfo.filter(t => t.file).map(t => t.file))];
+  const codeSnippets = toolUseInfo
+    .filter(t => t.code)
+    .map(t => t.code)
+    .join('\n---\n');
+  const withInput = toolUseInfo.filter(t => t.input);
+
+  return {
+    sessionId,
+    response: textContent,
+    toolsUsed,
+    filesModified,
+    codeWritten: codeSnippets,
+    commandsRun: withInput.filter(t => t.tool === 'Bash').map(t => t.input),
+    toolInputs: withInput.filter(t => t.tool !== 'Bash').map(t => `${t.tool}: ${t.input}`),
+    timestamp,
+  };
+}
+
+/**
+ * Combine a session's recent turns into one context, so signals can match
+ * something Claude said, wrote or ran a few turns back. Text and code are newest
+ * first; commands and tool inputs stay in the order they ran.
+ * @param {LastResponse[]} turns - Oldest first
+ * @returns {LastResponse | null} - Null when there are no turns
+ */
+function mergeTurns(turns) {
+  if (turns.length === 0) return null;
+
+  const newestFirst = [...turns].reverse();
+  const [latest] = newestFirst;
+  return {
+    sessionId: latest.sessionId,
+    response: newestFirst.map(t => t.response).filter(Boolean).join('\n\n'),
+    toolsUsed: [...new Set(newestFirst.flatMap(t => t.toolsUsed))],
+    filesModified: [...new Set(newestFirst.flatMap(t => t.filesModified))],
+    codeWritten: newestFirst.map(t => t.codeWritten).filter(Boolean).join('\n---\n'),
+    commandsRun: turns.flatMap(t => t.commandsRun || []),
+    toolInputs: turns.flatMap(t => t.toolInputs || []),
+    timestamp: latest.timestamp,
+    turns: turns.length,
+  };
+}
+
+module.exports = {
+  readTranscript,
+  findLastAssistantTurn,
+  extractTextContent,
+  extractUserText,
+  extractToolUse,
+  turnContent,
+  buildLastResponse,
+  mergeTurns,
+};
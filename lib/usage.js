@@ -0,0 +1,151 @@
+/**
+ * Correct Habits - Turn Usage
+ * Collects which patterns were applied or broken while Claude works on a prompt,
+ * and records the counts once when the turn ends, so a turn with many edits
+ * rewrites each store at most twice
+ */
+
+const { readJson, withLock, writeJsonAtomic } = require('./files');
+const { getInjectedFile } = require('./paths');
+const { loadMergedPatterns, recordUsage } = require('./store');
+
+/**
+ * @typedef {import('./store').ScopedPattern} ScopedPattern
+ */
+
+/** How often a pattern loaded at session start has that stamped, to keep store writes rare */
+const INJECTED_STAMP_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} InjectedState
+ * @property {string} sessionId - Session the state belongs to
+ * @property {string[]} sessionPatternIds - Patterns rendered at session start
+ * @property {string[]} patternIds - Patterns injected for the current prompt
+ * @property {string[]} applied - In-context patterns that applied to code written this turn
+ * @property {string[]} violated - Patterns broken this turn
+ * @property {string} timestamp - ISO timestamp
+ */
+
+/**
+ * @param {string} sessionId
+ * @returns {InjectedState}
+ */
+function emptyState(sessionId) {
+  return {
+    sessionId,
+    sessionPatternIds: [],
+    patternIds: [],
+    applied: [],
+    violated: [],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Read, change and save the session's state. State left by another session is
+ * started over.
+ * @param {string} sessionId
+ * @param {(state: InjectedState) => void} mutator
+ * @param {string} [cwd]
+ */
+function updateState(sessionId, mutator, cwd) {
+  const file = getInjectedFile(cwd);
+  withLock(file, () => {
+    /** @type {InjectedState | null} */
+    const stored = readJson(file, null);
+    const state = stored && stored.sessionId === sessionId && Array.isArray(stored.applied)
+      ? stored
+      : emptyState(sessionId);
+    mutator(state);
+    state.timestamp = new Date().toISOString();
+    writeJsonAtomic(file, state);
+  });
+}
+
+/**
+ * Remember the patterns rendered at session start, which stay in context for the
+ * whole session
+ * @param {string} sessionId
+ * @param {string[]} patternIds
+ * @param {string} [cwd]
+ */
+function startSessionUsage(sessionId, patternIds, cwd) {
+  updateState(sessionId, state => {
+    Object.assign(state, emptyState(sessionId), { sessionPatternIds: patternIds });
+  }, cwd);
+}
+
+/**
+ * Stamp the patterns loaded at session start, which keeps them from decaying
+ * (see lib/lifecycle.js). Patterns stamped within the last day are skipped.
+ * @param {ScopedPattern[]} patterns
+ * @param {string} [cwd]
+ */
+function recordInjected(patterns, cwd) {
+  const now = Date.now();
+  const due = patterns.filter(p => !p.lastInjectedAt || now - new Date(p.lastInjectedAt).getTime() >= INJECTED_STAMP_MS);
+  if (due.length > 0) {
+    recordUsage(due, 'injected', cwd);
+  }
+}
+
+/**
+ * Remember the patterns injected for the prompt just submitted
+ * @param {string} sessionId
+ * @param {string[]} patternIds
+ * @param {string} [cwd]
+ */
+function setPromptPatterns(sessionId, patternIds, cwd) {
+  updateState(sessionId, state => {
+    state.patternIds = patternIds;
+  }, cwd);
+}
+
+/**
+ * Note the outcome of checking one write. Only patterns Claude had in context
+ * count as applied: it can't follow a pattern it was never shown.
+ * @param {string} sessionId
+ * @param {{ applied: string[], violated: string[] }} outcome - Pattern ids of
+ *   patterns that cover the written file and weren't broken, and of those that were
+ * @param {string} [cwd]
+ */
+function noteUsage(sessionId, outcome, cwd) {
+  updateState(sessionId, state => {
+    const inContext = new Set([...state.sessionPatternIds, ...state.patternIds]);
+    state.applied = [...new Set([...state.applied, ...outcome.applied.filter(id => inContext.has(id))])];
+    state.violated = [...new Set([...state.violated, ...outcome.violated])];
+  }, cwd);
+}
+
+/**
+ * Record the turn's usage: one hit per applied pattern and one violation per
+ * broken one, however many writes there were. A pattern broken anywhere in the
+ * turn doesn't also count as applied.
+ * @param {string} sessionId
+ * @param {string} [cwd]
+ */
+function flushUsage(sessionId, cwd) {
+  /** @type {InjectedState | null} */
+  let turn = null;
+  updateState(sessionId, state => {
+    turn = { ...state };
+    state.patternIds = [];
+    state.applied = [];
+    state.violated = [];
+  }, cwd);
+  if (!turn || (turn.applied.length === 0 && turn.violated.length === 0)) return;
+
+  const violated = new Set(turn.violated);
+  const applied = new Set(turn.applied.filter(id => !violated.has(id)));
+  const patterns = loadMergedPatterns(cwd);
+  recordUsage(patterns.filter(p => violated.has(p.id)), 'violation', cwd);
+  recordUsage(patterns.filter(p => applied.has(p.id)), 'hit', cwd);
+}
+
+module.exports = {
+  startSessionUsage,
+  recordInjected,
+  setPromptPatterns,
+  noteUsage,
+  flushUsage,
+};
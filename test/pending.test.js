@@ -0,0 +1,93 @@
+/**
+ * Pending examples: the user's reply is only taken once Claude has asked for it.
+ * Run with `node --test`.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, test } = require('node:test');
+const { loadPending, markPendingAsked, queuePending, startPendingSession, takePendingReply } = require('../lib/pending');
+const { getScopeFile } = require('../lib/paths');
+const { createPattern, findPattern, loadPatterns, updateStore } = require('../lib/store');
+
+const configDir = process.env.CLAUDE_CONFIG_DIR;
+
+/** @type {string} */
+let root;
+/** @type {import('../lib/store').Pattern} */
+let pattern;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'correct-habits-'));
+  fs.mkdirSync(path.join(root, '.git'));
+  process.env.CLAUDE_CONFIG_DIR = path.join(root, 'config');
+
+  pattern = updateStore(getScopeFile('project', root), data => {
+    const created = createPattern({ name: 'prefer-const', description: 'Use const for bindings that never change' });
+    data.patterns.push(created);
+    return created;
+  });
+  queuePending(pattern, 'project', root);
+  startPendingSession('s1', root);
+});
+
+afterEach(() => {
+  if (configDir === undefined) {
+    delete process.env.CLAUDE_CONFIG_DIR;
+  } else {
+    process.env.CLAUDE_CONFIG_DIR = configDir;
+  }
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+/**
+ * @returns {import('../lib/store').Pattern | undefined}
+ */
+function storedPattern() {
+  return findPattern(loadPatterns(getScopeFile('project', root)), pattern.id);
+}
+
+test('an unrelated first prompt is not taken as the reply', () => {
+  const reply = takePendingReply('Fix the crash in `parseConfig()` when the file is empty', 's1', root);
+
+  assert.equal(reply, null);
+  assert.equal(storedPattern().good_example, undefined);
+  assert.deepEqual(loadPending(root).map(p => p.needs), [['good_example', 'bad_example']]);
+});
+
+test('the reply after Claude asks fills in the examples', () => {
+  takePendingReply('Fix the crash in `parseConfig()` when the file is empty', 's1', root);
+  const armed = markPendingAsked('Before we go on: for **prefer-const**, what is the correct way, and what should be avoided?', 's1', root);
+  assert.deepEqual(armed.map(p => p.name), ['prefer-const']);
+
+  const reply = takePendingReply('`const total = 0;` and `let total = 0;`', 's1', root);
+
+  assert.deepEqual(reply.filled[0].fields, { good_example: 'const total = 0;', bad_example: 'let total = 0;' });
+  assert.equal(storedPattern().good_example, 'const total = 0;');
+  assert.deepEqual(loadPending(root), []);
+});
+
+test('a response that does not ask about the pattern arms nothing', () => {
+  assert.deepEqual(markPendingAsked('Fixed parseConfig(). Want me to add a test?', 's1', root), []);
+  assert.deepEqual(markPendingAsked('I used prefer-const style in the fix.', 's1', root), []);
+  assert.equal(takePendingReply('`const x = 1`', 's1', root), null);
+});
+
+test('a request made in another session is not armed', () => {
+  assert.deepEqual(markPendingAsked('For prefer-const, what is the correct way?', 's2', root), []);
+});
+
+test('a session in a package with its own store keeps entries for root patterns', () => {
+  const pkg = path.join(root, 'packages', 'api');
+  fs.mkdirSync(path.join(pkg, '.claude', 'correct-habits'), { recursive: true });
+  updateStore(getScopeFile('project', pkg), () => {});
+
+  startPendingSession('s2', pkg);
+  markPendingAsked('For **prefer-const**, what is the correct way, and what should be avoided?', 's2', pkg);
+  const reply = takePendingReply('`const total = 0;` and `let total = 0;`', 's2', pkg);
+
+  assert.equal(reply.filled.length, 1);
+  assert.equal(storedPattern().good_example, 'const total = 0;');
+});